@@ -0,0 +1,316 @@
+/**
+ * @file Error and convergence analysis of the numerical methods, independent of the page so it can run anywhere
+ * @typedef { import('./linalg').State } State
+ * @typedef { import('./models').point } point
+ * @typedef { import('./models').Config } Config
+ * @typedef { import('./models').Solution } Solution
+ * @typedef { import('./models').Reference } Reference
+ * @typedef { import('./io').Expressions } Expressions
+ */
+
+import { difference, stepGrid, IntegrationError } from './models.js';
+import { subtract, norm, components } from './linalg.js';
+
+/**
+ * Global errors of a method over a sequence of step sizes
+ * @typedef {Object} ConvergenceResult
+ * @property {number[]} h The sizes of the steps (without their sign), each half of the previous one
+ * @property {number[]} N The number of steps taken with each step size
+ * @property {number[]} max The largest error over the interval for each step size (NaN if not available)
+ * @property {number[]} endpoint The error at X for each step size (NaN if not available)
+ * @property {{max: number, endpoint: number}} order The empirical order fitted to each kind of error
+ * @property {boolean} estimated Whether the errors were estimated by Richardson extrapolation, for lack of an exact solution
+ */
+
+/**
+ * A parameter varied by a sweep, over evenly spaced values
+ * @typedef {Object} SweepRange
+ * @property {string} name One of the inputs `x0`, `y0` (its first component for systems), `X` and `N`,
+ * or a number written in the derivative, such as `5` in `-5 y`, every occurrence of which is replaced by each value
+ * (however it is written: `0.5` is also `.5`)
+ * @property {number} from The first value
+ * @property {number} to The last value
+ * @property {number} count How many values
+ */
+
+/**
+ * How a method did in one run
+ * @typedef {Object} RunMeasures
+ * @property {?number} endpoint The size of the global error at X (`null` if the method stopped before X or there is no exact solution)
+ * @property {?number} max The largest size of the global error at the points of the method (`null` if the method stopped
+ * before X or it is not available)
+ * @property {number} runtime How long the run took, in milliseconds
+ * @property {?Reference} reference How the reference solution the errors are measured against was computed
+ * (`null` if they are measured against the exact solution)
+ */
+
+/**
+ * The global error at X of a method run with N steps
+ * @param {import('./models').NumericalMethod} method The method, configured with the initial values and X
+ * @param {State} exact The value of the exact solution at X
+ * @param {number} N The number of steps
+ * @returns {?number} The error, or `null` if the method stopped before X or its error is not finite
+ */
+export function globalError(method, exact, N) {
+	const solution = method({ N });
+	const error = method.diagnostic ? NaN : difference(exact, solution.evaluate(method.X));
+	return Number.isFinite(error) ? error : null;
+}
+
+/**
+ * The global error of an approximation at the points of a grid, which need not be those computed by the method
+ * since the approximation is evaluated between them
+ * @param {point[]} exact The exact solution on the grid
+ * @param {Solution} approximation The approximation
+ * @returns {point[]} The errors (`null` where the approximation does not reach or its error is not finite)
+ */
+export function globalErrors(exact, approximation) {
+	return exact.map(({ x, y }) => {
+		const error = approximation.contains(x) ? difference(y, approximation.evaluate(x)) : NaN;
+		return { x, y: Number.isFinite(error) ? error : null };
+	});
+}
+
+/**
+ * The local error of an approximation along a grid, as the change of its global error since the previous point of the grid
+ * @param {point[]} exact The exact solution on the grid
+ * @param {Solution} approximation The approximation
+ * @returns {point[]} The local errors, 0 at the first point (`null` where the global error is not known on both sides)
+ */
+export function localErrors(exact, approximation) {
+	const errors = globalErrors(exact, approximation).map(({ y }) => /** @type {?number} */ (y));
+	return errors.map((error, index) => {
+		const previous = index ? errors[index - 1] : error;
+		return { x: exact[index].x, y: error === null || previous === null ? null : error - previous };
+	});
+}
+
+/**
+ * The local truncation error of a method at each point of a grid: the difference between the exact solution there
+ * and one step of the method taken from the exact solution at the previous point.
+ * Multistep methods are given the exact solution at the previous points as their history
+ * @param {import('./models').NumericalMethod} method The method, configured as for a run
+ * @param {point[]} exact The exact solution on the grid
+ * @returns {point[]} The errors, from the second point of the grid on (`null` where the step failed)
+ */
+export function truncationErrors(method, exact) {
+	/** @type {import('./models').HistoryEntry[]} */
+	const history = [];
+	return exact.slice(1).map((next, index) => {
+		const { x, y } = exact[index];
+		history.push({ x, y });
+		let error;
+		try {
+			error = difference(next.y, method.step(x, y, next.x - x, history).y);
+		} catch (e) {
+			if (!(e instanceof IntegrationError))
+				throw e;
+			error = NaN;
+		}
+		return { x: next.x, y: Number.isFinite(error) ? error : null };
+	});
+}
+
+/**
+ * The largest and the root-mean-square magnitude of some errors
+ * @param {point[]} errors The errors, of which those that are `null` are left out
+ * @returns {{max: number, rms: number}} The summaries (NaN if there are no errors)
+ */
+export function summarize(errors) {
+	const values = errors.filter(({ y }) => y !== null).map(({ y }) => Math.abs(/** @type {number} */ (y)));
+	if (!values.length)
+		return { max: NaN, rms: NaN };
+	return {
+		max: Math.max(...values),
+		rms: Math.sqrt(values.reduce((sum, value) => sum + value * value, 0) / values.length),
+	};
+}
+
+/**
+ * Fits a line to the errors against the step sizes on log-log axes.
+ * Its slope is the empirical order of the method, since $ e ≈ C h^p $ means $ log e ≈ log C + p log h $
+ * @param {number[]} h The step sizes
+ * @param {number[]} errors The error for each step size; the ones that are not finite and positive are left out
+ * @param {number} [floor] Errors below this are dominated by round-off rather than the method, so they are left out too
+ * @returns {number} The slope p, or NaN if fewer than two errors can be used
+ */
+export function fitOrder(h, errors, floor = 0) {
+	const points = h
+		.map((hi, i) => ({ x: Math.log(hi), y: Math.log(errors[i]) }))
+		.filter(({ x, y }) => Number.isFinite(x) && y >= Math.log(floor));
+	if (points.length < 2)
+		return NaN;
+	const meanX = points.reduce((sum, { x }) => sum + x, 0) / points.length;
+	const meanY = points.reduce((sum, { y }) => sum + y, 0) / points.length;
+	let covariance = 0, variance = 0;
+	for (const { x, y } of points) {
+		covariance += (x - meanX) * (y - meanY);
+		variance += (x - meanX) ** 2;
+	}
+	return covariance / variance;
+}
+
+/**
+ * Estimates the error of an approximation from the one with half the step size (Richardson extrapolation):
+ * for a method of order p, $ y_h - y ≈ (y_h - y_{h/2}) 2^p / (2^p - 1) $
+ * @param {State} coarse The approximation with step size h
+ * @param {State} fine The approximation at the same point with step size h/2
+ * @param {number} order The order p of the method; if it is unknown, the plain difference is used
+ * @returns {number} The estimated size of the error of the coarse approximation
+ */
+export function richardson(coarse, fine, order) {
+	const factor = Number.isFinite(order) ? 2 ** order / (2 ** order - 1) : 1;
+	return norm(subtract(coarse, fine)) * factor;
+}
+
+/**
+ * Runs a method with a geometric sequence of step sizes and measures how fast its global error decreases.
+ * The errors are computed against the exact solution if there is one, or else estimated from consecutive runs.
+ * Every run is compared on the same grid, that of the finest run, evaluating the coarser ones between their points
+ * @param {import('./models').NumericalMethod} method The method, configured with the initial values and X
+ * @param {import('./models').DifferentialFunction} funcs The equation
+ * @param {Config} config Contains x0 and X
+ * @param {Object} [options]
+ * @param {number} [options.N] The number of steps of the coarsest run
+ * @param {number} [options.levels] How many step sizes to try
+ * @returns {ConvergenceResult}
+ */
+export function convergence(method, funcs, { x0, X }, { N = 10, levels = 6 } = {}) {
+	const estimated = !funcs.hasExact;
+	// Without an exact solution, the error of each run is estimated using the next one, so one more is needed
+	const runs = Array.from({ length: levels + (estimated ? 1 : 0) }, (_, k) => {
+		const steps = N * 2 ** k;
+		const data = method({ N: steps });
+		return { N: steps, h: Math.abs(X - x0) / steps, data: method.diagnostic ? null : data };
+	});
+
+	const grid = stepGrid(x0, X, N * 2 ** (levels - 1));
+	const exact = estimated ? [] : funcs.tabulateExact(grid).data;
+	const max = [], endpoint = [];
+	for (let k = 0; k < levels; k++) {
+		const { data } = runs[k];
+		let errors = [];
+		if (data && estimated) {
+			const fine = runs[k + 1].data;
+			errors = fine ? grid.map(x => richardson(data.evaluate(x), fine.evaluate(x), method.order)) : [];
+		} else if (data && exact.length === grid.length) {
+			errors = globalErrors(exact, data).map(({ y }) => y === null ? NaN : Math.abs(/** @type {number} */ (y)));
+		}
+		max.push(errors.length ? Math.max(...errors) : NaN);
+		endpoint.push(errors.length ? errors[errors.length - 1] : NaN);
+	}
+
+	const h = runs.slice(0, levels).map(run => run.h);
+	// Errors this close to the size of the solution times the machine epsilon are mostly round-off
+	const scale = runs.reduce((max, { data }) => data ? Math.max(max, ...data.map(({ y }) => norm(y))) : max, 1);
+	const floor = 1000 * Number.EPSILON * scale;
+	return {
+		h,
+		N: runs.slice(0, levels).map(run => run.N),
+		max,
+		endpoint,
+		order: { max: fitOrder(h, max, floor), endpoint: fitOrder(h, endpoint, floor) },
+		estimated,
+	};
+}
+
+/** The parameters of a sweep that are inputs of the methods, rather than names in the equation */
+export const sweepInputs = ['x0', 'y0', 'X', 'N'];
+
+/**
+ * The values a parameter takes in a sweep. The numbers of steps are rounded to whole numbers, each kept once
+ * @param {SweepRange} range
+ * @returns {number[]}
+ */
+export function sweepValues({ name, from, to, count }) {
+	const values = count > 1 ? Array.from({ length: count }, (_, i) => from + (to - from) * i / (count - 1)) : [from];
+	return name === 'N' ? Array.from(new Set(values.map(value => Math.max(1, Math.round(value))))) : values;
+}
+
+/**
+ * Every combination of the values of the parameters of a sweep, the first parameter varying the fastest
+ * @param {SweepRange[]} ranges
+ * @returns {number[][]} The value of each parameter in each combination
+ */
+export function sweepCombinations(ranges) {
+	return ranges.reduce((combinations, range) => [].concat(...sweepValues(range).map(value =>
+		combinations.map(values => [...values, value]))), [[]]);
+}
+
+/** The numbers and the names of an expression, as they are read by the parser */
+const numberOrName = /([A-Za-z_]\w*)|(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)/g;
+
+/**
+ * The numbers written in an expression, which a sweep can vary (not those that are part of a name like `y1`)
+ * @param {string} text The expression
+ * @returns {number[]} Each number once, in the order they first appear
+ */
+export function equationNumbers(text) {
+	const numbers = [];
+	text.replace(numberOrName, (match, name) => {
+		if (!name && !numbers.includes(Number(match)))
+			numbers.push(Number(match));
+		return match;
+	});
+	return numbers;
+}
+
+/**
+ * The equation and the configuration of one run of a sweep. The numbers of the derivative that are swept are replaced
+ * in its text. The exact solution is then left out, since it no longer solves the equation (even where it still fits
+ * the initial value), so that the runs are compared to a reference solution instead
+ * @param {Expressions} equation
+ * @param {Config} config The configuration the parameters swept are changed in
+ * @param {SweepRange[]} ranges The parameters swept
+ * @param {number[]} values The value of each of them
+ * @returns {{equation: Expressions, config: Config}}
+ */
+export function applySweep(equation, config, ranges, values) {
+	const swept = { ...config };
+	/** @type {Map<number, number>} The value replacing each number of the equation that is swept */
+	const numbers = new Map();
+	ranges.forEach(({ name }, i) => {
+		const value = values[i];
+		if (name === 'y0') {
+			const y0 = [...components(swept.y0)];
+			y0[0] = value;
+			swept.y0 = y0.length === 1 ? value : y0;
+		} else if (sweepInputs.includes(name)) {
+			Object.assign(swept, { [name]: value });
+		} else {
+			numbers.set(Number(name), value);
+		}
+	});
+	swept.h = (swept.X - swept.x0) / swept.N;
+	// All at once, so that a value written in is not replaced again
+	const replace = (/** @type {string} */ text) => text.replace(numberOrName, (match, name) =>
+		name || !numbers.has(Number(match)) ? match : `(${numbers.get(Number(match))})`);
+	if (!numbers.size)
+		return { equation, config: swept };
+	return { equation: { ...equation, derivative: replace(equation.derivative), exact: '' }, config: swept };
+}
+
+/**
+ * Runs a method and measures how it did: the size of its global error at X and at its points, and how long it took
+ * @param {import('./models').NumericalMethod} method The method, configured with the initial values, X and N
+ * @param {import('./models').DifferentialFunction} funcs The equation, with the exact or reference solution it is compared to
+ * @returns {RunMeasures}
+ */
+export function measureRun(method, funcs) {
+	const start = performance.now();
+	const solution = method();
+	const runtime = performance.now() - start;
+	const { reference } = funcs;
+	// Measured over the part the method (or the reference) managed to compute, the error would look as small
+	// as that of a run that went through
+	if (!funcs.hasExact || method.diagnostic || (reference && reference.diagnostic))
+		return { endpoint: null, max: null, runtime, reference };
+	const size = (/** @type {point[]} */ errors) => errors.length && errors[0].y !== null ? Math.abs(/** @type {number} */ (errors[0].y)) : null;
+	const { max } = summarize(globalErrors(funcs.tabulateExact(solution.map(({ x }) => x)).data, solution));
+	return {
+		endpoint: size(globalErrors(funcs.tabulateExact([method.X]).data, solution)),
+		max: Number.isFinite(max) ? max : null,
+		runtime,
+		reference,
+	};
+}
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+/**
+ * @file Command-line runner of the numerical methods, for use without a browser (needs a Node.js version
+ * that loads ES modules from `.js` files, such as 20.19 or 22.7 and later). For example:
+ *
+ *     node cli.js --derivative "1 + 2*y/x" --exact "C x^2 - x" --x0 1 --y0 2 --X 10 --N 20 \
+ *         --methods Euler,RungeKutta --table all --format csv --output results.csv
+ *
+ * Options:
+ * - `--derivative` (required), `--exact` and `--order`: the equation, written as in the page
+ * - `--x0`, `--y0` (`;`-separated for systems), `--X` (before x0 to integrate backwards), `--N` and `--tol` (for adaptive methods)
+ * - `--methods`: comma-separated class names from models.js (case-insensitive), Euler, ImprovedEuler and RungeKutta by default
+ * - `--table`: `solution`, `truncation` (local truncation error), `local` (increments of the global error),
+ *   `global` (against N) or `all`. Without `--exact`, the errors are against a reference solution computed with small steps
+ * - `--format`: `text`, `csv` or `json` (the last two are the same as the exports of the page)
+ * - `--output`: the file to write to, instead of the standard output
+ */
+
+// @ts-ignore (the types of Node.js are not installed)
+import { writeFileSync } from 'fs';
+import * as models from './models.js';
+import { components } from './linalg.js';
+import { parseEquation } from './parser.js';
+import { globalError, localErrors, truncationErrors } from './analysis.js';
+import { toCSV, toJSON } from './io.js';
+
+/** @type {{argv: string[], stdout: {write: function(string): void}, stderr: {write: function(string): void}, exitCode: number}} */
+const process = /** @type {any} */ (globalThis).process;
+
+/** The methods used when none are given */
+const defaultMethods = ['Euler', 'ImprovedEuler', 'RungeKutta'];
+
+/**
+ * Error in the arguments, reported without a stack trace
+ */
+class UsageError extends Error {
+	/**
+	 * @param {string} message Description of the problem
+	 */
+	constructor(message) {
+		super(message);
+		this.name = 'UsageError';
+	}
+}
+
+/**
+ * Reads the `--name value` pairs of the arguments
+ * @param {string[]} args The arguments, without the executable and script
+ * @returns {Object<string, string>}
+ */
+function parseArguments(args) {
+	/** @type {Object<string, string>} */
+	const options = {};
+	for (let i = 0; i < args.length; i += 2) {
+		const name = args[i];
+		if (!name.startsWith('--') || i + 1 >= args.length)
+			throw new UsageError(`Expected '--name value' pairs, got '${name}'`);
+		options[name.slice(2)] = args[i + 1];
+	}
+	return options;
+}
+
+/**
+ * Reads a numeric option
+ * @param {Object<string, string>} options
+ * @param {string} name
+ * @param {number} [fallback] The value if the option is not given; if there is none, the option is required
+ * @returns {number}
+ */
+function numberOption(options, name, fallback) {
+	if (!(name in options)) {
+		if (fallback === undefined)
+			throw new UsageError(`--${name} is required`);
+		return fallback;
+	}
+	const value = Number(options[name]);
+	if (!Number.isFinite(value))
+		throw new UsageError(`--${name} must be a number, got '${options[name]}'`);
+	return value;
+}
+
+/**
+ * Finds the classes of the methods with the given names
+ * @param {string} list Comma-separated names of classes exported by models.js, in any case
+ * @returns {Array<typeof models.NumericalMethod>}
+ */
+function findMethods(list) {
+	const classes = /** @type {Array<typeof models.NumericalMethod>} */ (Object.values(models).filter(value =>
+		typeof value === 'function' && value.prototype instanceof models.NumericalMethod));
+	// The abstract classes throw as soon as they are asked to take a step
+	const available = classes.filter(Method => {
+		try {
+			new Method(() => 0, { x0: 0, y0: 0, X: 1, N: 1 })();
+			return true;
+		} catch (error) {
+			return false;
+		}
+	});
+	return list.split(',').map(name => {
+		const Method = available.find(Method => Method.name.toLowerCase() === name.trim().toLowerCase());
+		if (!Method)
+			throw new UsageError(`Unknown method '${name}' (available: ${available.map(Method => Method.name).join(', ')})`);
+		return Method;
+	});
+}
+
+/**
+ * Writes a table with aligned columns
+ * @param {string} title The title of the table
+ * @param {import('./io').Series[]} series The data, one column per series, one row per x
+ * @returns {string}
+ */
+function toText(title, series) {
+	/** @type {Map<number, string[]>} The cells of each row, by its x */
+	const rows = new Map();
+	series.forEach(({ data }, column) => {
+		for (const { x, y } of data) {
+			if (!rows.has(x))
+				rows.set(x, new Array(series.length).fill(''));
+			rows.get(x)[column] = y === null || y === undefined ? '' : components(y).map(value => value.toPrecision(8)).join('; ');
+		}
+	});
+	const table = [
+		['x', ...series.map(({ label }) => label)],
+		...Array.from(rows.keys()).sort((a, b) => a - b).map(x => [String(Number(x.toPrecision(10))), ...rows.get(x)]),
+	];
+	const widths = table[0].map((_, j) => Math.max(...table.map(row => row[j].length)));
+	return [title, ...table.map(row => row.map((cell, j) => cell.padStart(widths[j])).join('  '))].join('\n') + '\n';
+}
+
+/**
+ * Runs the methods and writes the requested tables to the output file or the standard output
+ * @param {string[]} args The arguments, without the executable and script
+ */
+function main(args) {
+	const options = parseArguments(args);
+	if (!options.derivative)
+		throw new UsageError('--derivative is required');
+	const expressions = { derivative: options.derivative, exact: options.exact || '', order: numberOption(options, 'order', 1) };
+	const funcs = parseEquation(expressions);
+
+	const y0s = (options.y0 || '').split(';').map(Number);
+	if (!options.y0 || !y0s.every(Number.isFinite))
+		throw new UsageError('--y0 is required, as a number or numbers separated by \';\'');
+	const x0 = numberOption(options, 'x0'), X = numberOption(options, 'X'), N = numberOption(options, 'N');
+	if (!Number.isInteger(N) || N < 1)
+		throw new UsageError(`--N must be a whole number of at least 1, got '${options.N}'`);
+	const tol = numberOption(options, 'tol', 1e-6);
+	const config = { x0, y0: y0s.length === 1 ? y0s[0] : y0s, X, N, h: (X - x0) / N, atol: tol, rtol: tol };
+	if (funcs.family)
+		funcs.fit(config.x0, config.y0);
+	else if (funcs.needsReference) {
+		const { N: steps, accuracy, converged, diagnostic } = funcs.computeReference(x0, config.y0, X);
+		if (diagnostic)
+			process.stderr.write(`Reference solution: ${steps} Runge-Kutta steps, stopped early so its accuracy is unknown (${diagnostic.message})\n`);
+		else
+			process.stderr.write(`Reference solution: ${steps} Runge-Kutta steps, accurate to about ${accuracy.toExponential(1)}` +
+				`${converged ? '' : ' (short of the tolerance)'}\n`);
+	}
+	const against = funcs.reference ? ' vs reference' : '';
+
+	const df = funcs.derivative.bind(funcs);
+	const methods = findMethods(options.methods || defaultMethods.join(','))
+		.map(Method => ({ label: Method.name, method: new Method(df, config) }));
+
+	const solutions = methods.map(({ label, method }) => {
+		const data = method();
+		if (method.diagnostic)
+			process.stderr.write(`${label}: ${method.diagnostic.message}\n`);
+		return { label, data };
+	});
+
+	/** @type {Object<string, function(): {title: string, series: import('./io').Series[]}>} */
+	const tables = {
+		solution: () => {
+			const series = [...solutions];
+			if (funcs.hasExact)
+				series.push({ label: funcs.reference ? 'Reference' : 'Exact', data: funcs.tabulateExact(solutions[0].data.map(({ x }) => x)).data });
+			return { title: 'Solution', series };
+		},
+		truncation: () => {
+			const { data: exact } = funcs.tabulateExact(models.stepGrid(x0, X, N));
+			return {
+				title: `Local truncation error${against}`,
+				series: methods.map(({ label, method }) => ({ label, data: truncationErrors(method, exact) })),
+			};
+		},
+		local: () => ({
+			title: `Local error${against}`,
+			series: solutions.map(({ label, data }) => ({
+				label,
+				data: localErrors(funcs.tabulateExact(data.map(({ x }) => x)).data, data),
+			})),
+		}),
+		global: () => {
+			const [end] = funcs.tabulateExact([X]).data;
+			const steps = Array.from({ length: N }, (_, i) => i + 1);
+			return {
+				title: `Global error${against}`,
+				series: methods.map(({ label, method }) => ({
+					label,
+					data: steps.map(n => ({ x: n, y: globalError(method, end ? end.y : NaN, n) })),
+				})),
+			};
+		},
+	};
+
+	const table = options.table || 'solution';
+	const names = table === 'all' ? Object.keys(tables) : [table];
+	if (!names.every(name => tables[name]))
+		throw new UsageError(`--table must be one of ${Object.keys(tables).join(', ')} or all, got '${table}'`);
+
+	const format = options.format || 'text';
+	const outputs = names.map(name => {
+		const { title, series } = tables[name]();
+		if (format === 'csv')
+			return toCSV(title, series, { x0, y0: config.y0, X, N, h: config.h, tol }, expressions);
+		if (format === 'json')
+			return toJSON(title, series, { x0, y0: config.y0, X, N, h: config.h, tol }, expressions);
+		if (format === 'text')
+			return toText(title, series);
+		throw new UsageError(`--format must be one of text, csv or json, got '${format}'`);
+	});
+	let output = outputs.join('\n');
+	if (format === 'json')
+		output = names.length === 1 ? outputs[0] + '\n' : `[\n${outputs.join(',\n')}\n]\n`;
+
+	if (options.output)
+		writeFileSync(options.output, output);
+	else
+		process.stdout.write(output);
+}
+
+try {
+	main(process.argv.slice(2));
+} catch (error) {
+	process.stderr.write(`${error.name === 'Error' ? '' : `${error.name}: `}${error.message}\n`);
+	process.exitCode = 1;
+}
@@ -1,9 +1,31 @@
 /**
  * @file Controller that uses the models in [models.js](./models.js) and connects to the View (HTML)
  * @typedef { import('./models').point } point
+ * @typedef { import('./linalg').State } State
+ * @typedef { import('./models').Diagnostic } Diagnostic
+ * @typedef { import('./models').EventFunction } EventFunction
+ * @typedef { import('./models').EventOccurrence } EventOccurrence
+ * @typedef { import('./models').StepTrace } StepTrace
+ * @typedef { import('./analysis').ConvergenceResult } ConvergenceResult
+ * @typedef { import('./io').Series } Series
+ * @typedef { import('./io').Expressions } Expressions
+ * @typedef { import('./state').Workspace } Workspace
+ * @typedef { import('./tasks').Job } Job
+ * @typedef { import('./tasks').JobMessage } JobMessage
+ * @typedef { import('./tasks').MethodDescription } MethodDescription
  */
 
-import { Euler, ImprovedEuler, RungeKutta, DifferentialFunction } from './models.js';
+import { Solution, ExplicitRungeKutta, ButcherTableau, tableaus, DifferentialFunction, stepGrid, stepCount } from './models.js';
+import { components } from './linalg.js';
+import { parseTableau, parseEquation, parseEvent, constantNames } from './parser.js';
+import { registry } from './registry.js';
+import { createRunner, describeMethod, isTransferable } from './tasks.js';
+import { localErrors, truncationErrors, summarize, sweepInputs, sweepValues, sweepCombinations, equationNumbers } from './analysis.js';
+import { grid, slopeField, isoclineLevels, isoclines } from './field.js';
+import { ChartInteraction } from './interaction.js';
+import { toCSV, toJSON, fromJSON } from './io.js';
+import { encodeState, decodeState, listSessions, saveSession, loadSession, deleteSession } from './state.js';
+import { presets } from './presets.js';
 
 // @ts-ignore
 var Chart = window.Chart;
@@ -12,6 +34,349 @@ Chart.defaults.global.elements.line.fill = false;
 /** Used to handle communication between the main graph and the error graph */
 const eventManager = new EventTarget();
 
+/**
+ * Manages the inputs in which the user types the differential equation and its exact solution.
+ * A system of equations is typed as its components separated by `;`, in terms of x, y1, y2, ...
+ * An equation of order n > 1 is typed as the expression of y⁽ⁿ⁾ in terms of x, y, dy (y'), d2y (y''), ...
+ */
+export class EquationInput {
+	/**
+	 * @param {Object<string, string|number>} expressions The initial text of the derivative y'(x, y) and the exact solution y(x), and the order of the equation
+	 * @param {Object<string, HTMLElement>} [elements] The input elements and the elements to show their errors in
+	 * @param {EventTarget} [channel] Where to notify the charts of the new equations, the one of the page by default
+	 */
+	constructor({ derivative = '', exact = '', order = 1 }, { derivativeEl, exactEl, derivativeErrorEl, exactErrorEl, orderEl } = {}, channel = eventManager) {
+		/** @type {Object<string, {el: HTMLInputElement, errorEl: HTMLElement}>} */
+		this.fields = {
+			derivative: {
+				// @ts-ignore
+				el: derivativeEl || document.getElementById('derivative'),
+				errorEl: derivativeErrorEl || document.getElementById('derivative-error'),
+			},
+			exact: {
+				// @ts-ignore
+				el: exactEl || document.getElementById('exact'),
+				errorEl: exactErrorEl || document.getElementById('exact-error'),
+			},
+		};
+		/** @type {HTMLInputElement} */
+		// @ts-ignore
+		this.orderEl = orderEl || document.getElementById('order');
+		this.channel = channel;
+
+		this.fields.derivative.el.value = String(derivative);
+		this.fields.exact.el.value = String(exact);
+		this.orderEl.value = String(order);
+
+		/**
+		 * The functions compiled from the current input, or `null` if the input is not valid
+		 * @type {DifferentialFunction}
+		 */
+		this.funcs = this.compile();
+		this._registerListeners();
+	}
+
+	/**
+	 * Parses the current text of the inputs, showing the syntax errors (if any) next to them
+	 * @returns {DifferentialFunction} The compiled functions, or `null` if any of the expressions is invalid
+	 */
+	compile() {
+		const { derivative, exact } = this.fields;
+		derivative.errorEl.textContent = '';
+		exact.errorEl.textContent = '';
+		try {
+			return parseEquation(this.getExpressions());
+		} catch (error) {
+			derivative.errorEl.textContent = error.messages.derivative || '';
+			exact.errorEl.textContent = error.messages.exact || '';
+			return null;
+		}
+	}
+
+	/**
+	 * The current text of the inputs
+	 * @returns {Expressions}
+	 */
+	getExpressions() {
+		return {
+			derivative: this.fields.derivative.el.value,
+			exact: this.fields.exact.el.value,
+			order: Math.max(1, Math.round(parseFloat(this.orderEl.value)) || 1),
+		};
+	}
+
+	/**
+	 * Replaces the text of the inputs, then updates the charts as if it was typed in
+	 * @param {Expressions} expressions
+	 */
+	setExpressions({ derivative, exact, order }) {
+		this.fields.derivative.el.value = derivative;
+		this.fields.exact.el.value = exact;
+		this.orderEl.value = String(order);
+		this._update();
+	}
+
+	/**
+	 * Recompiles the expressions and notifies the charts if they are valid
+	 */
+	_update() {
+		const funcs = this.compile();
+		if (!funcs)
+			return;
+		this.funcs = funcs;
+		this.channel.dispatchEvent(new CustomEvent('functionsUpdated', { detail: funcs }));
+	}
+
+	/**
+	 * Registers listeners to changes on input to recompile the expressions and notify the charts
+	 */
+	_registerListeners() {
+		for (const el of [this.fields.derivative.el, this.fields.exact.el, this.orderEl])
+			el.addEventListener('input', () => this._update());
+	}
+}
+
+/**
+ * Writes a number as a fraction with a small denominator if possible, for display in a tableau
+ * @param {number} value
+ * @returns {string}
+ */
+function fraction(value) {
+	for (let denominator = 1; denominator <= 1000; denominator++) {
+		const numerator = Math.round(value * denominator);
+		if (Math.abs(value * denominator - numerator) < 1e-9)
+			return denominator === 1 ? String(numerator) : `${numerator}/${denominator}`;
+	}
+	return String(value);
+}
+
+/**
+ * Writes a Butcher tableau in the layout accepted by `parseTableau`
+ * @param {ButcherTableau} tableau
+ * @returns {string}
+ */
+function formatTableau({ a, b, c }) {
+	const rows = [...c.map((ci, i) => [fraction(ci), ...a[i].slice(0, i).map(fraction)]), ['', ...b.map(fraction)]];
+	const widths = rows[rows.length - 1].map((_, j) => Math.max(...rows.map(row => (row[j] || '').length)));
+	const line = (/** @type {string[]} */ [node, ...weights]) =>
+		`${node.padEnd(widths[0])} | ${weights.map((entry, j) => entry.padEnd(widths[j + 1])).join(' ')}`.replace(/\s+$/, '');
+	const separator = '-'.repeat(widths[0] + 1) + '+' + '-'.repeat(widths.slice(1).reduce((sum, w) => sum + w + 1, 0));
+	return [...rows.slice(0, -1).map(line), separator, line(rows[rows.length - 1])].join('\n');
+}
+
+/**
+ * Manages the input of a custom Butcher tableau, which is compared on the charts with the other methods
+ */
+export class TableauInput {
+	/**
+	 * @param {Object<string, HTMLElement>} [elements] The text area, the select of built-in tableaus and the element to show errors in
+	 */
+	constructor({ tableauEl, libraryEl, errorEl } = {}) {
+		/** @type {HTMLTextAreaElement} */
+		// @ts-ignore
+		this.tableauEl = tableauEl || document.getElementById('tableau');
+		/** @type {HTMLSelectElement} */
+		// @ts-ignore
+		this.libraryEl = libraryEl || document.getElementById('tableau-library');
+		this.errorEl = errorEl || document.getElementById('tableau-error');
+
+		this.libraryEl.add(new Option('Load a built-in tableau...', ''));
+		for (const [key, { name }] of Object.entries(tableaus))
+			this.libraryEl.add(new Option(name, key));
+		this._registerListeners();
+	}
+
+	/**
+	 * Parses and validates the current tableau, replacing the custom method on the charts
+	 */
+	compile() {
+		this.errorEl.textContent = '';
+		if (!this.tableauEl.value.trim())
+			return registry.unregister('custom');
+		try {
+			const tableau = parseTableau(this.tableauEl.value);
+			registry.register('custom', ExplicitRungeKutta.fromTableau(tableau), {
+				label: `Custom tableau (order ${tableau.order})`,
+				color: 'hotpink',
+				description: `Explicit Runge-Kutta method with ${tableau.b.length} stages, from the Butcher tableau`,
+			});
+		} catch (error) {
+			this.errorEl.textContent = error.message;
+		}
+	}
+
+	/**
+	 * Replaces the text of the tableau, then updates the custom method if it changed
+	 * @param {string} text
+	 */
+	setText(text) {
+		if (text === this.tableauEl.value)
+			return;
+		this.tableauEl.value = text;
+		this.compile();
+	}
+
+	/**
+	 * Registers listeners to changes on the text area and the library
+	 */
+	_registerListeners() {
+		this.tableauEl.addEventListener('input', () => this.compile());
+		this.libraryEl.addEventListener('change', () => {
+			const tableau = tableaus[this.libraryEl.value];
+			if (!tableau)
+				return;
+			this.tableauEl.value = formatTableau(tableau);
+			this.libraryEl.value = '';
+			this.compile();
+		});
+	}
+}
+
+/**
+ * Manages the checkboxes showing or hiding each registered method on all the charts at once
+ */
+export class MethodSelector {
+	/**
+	 * @param {HTMLElement} [containerEl] The element to put the checkboxes in
+	 */
+	constructor(containerEl) {
+		this.containerEl = containerEl || document.getElementById('methods');
+		this.render();
+		registry.addEventListener('change', () => this.render());
+	}
+
+	/**
+	 * Creates a checkbox for every registered method, in the colour of its lines
+	 */
+	render() {
+		const items = registry.all().map(({ key, label, color, order, description, visible }) => {
+			const item = document.createElement('label');
+			item.style.borderColor = color;
+			item.title = `${description}${description ? ', ' : ''}order ${order}`;
+			const checkbox = document.createElement('input');
+			checkbox.type = 'checkbox';
+			checkbox.checked = visible;
+			checkbox.addEventListener('change', () => registry.setVisible(key, checkbox.checked));
+			item.append(checkbox, label);
+			return item;
+		});
+		this.containerEl.replaceChildren(...items);
+	}
+}
+
+/**
+ * An event as typed in its input
+ * @typedef {Object} EventSpec
+ * @property {string} expression The text of g in the condition g = 0
+ * @property {boolean} terminal Whether the integration stops at the event, instead of only recording it
+ */
+
+/**
+ * Manages the list of events g = 0 that every method looks for on the main chart. Each is written in terms of
+ * the same variables as the equation, and either stops the integration or is only recorded
+ */
+export class EventInput {
+	/**
+	 * @param {EquationInput} equation The input of the equation, needed to check the events
+	 * @param {Object<string, HTMLElement>} [elements] The list of the events, the button adding one and the element to show errors in
+	 */
+	constructor(equation, { listEl, addEl, errorEl } = {}) {
+		this.equation = equation;
+		this.listEl = listEl || document.getElementById('events');
+		this.addEl = addEl || document.getElementById('add-event');
+		this.errorEl = errorEl || document.getElementById('events-error');
+		this._registerListeners();
+	}
+
+	/**
+	 * The events as typed, skipping the empty ones
+	 * @returns {EventSpec[]}
+	 */
+	getEvents() {
+		return Array.from(this.listEl.children).map(row => ({
+			expression: /** @type {HTMLInputElement} */ (row.querySelector('input')).value.trim(),
+			terminal: /** @type {HTMLSelectElement} */ (row.querySelector('select')).value === 'stop',
+		})).filter(({ expression }) => expression);
+	}
+
+	/**
+	 * Replaces the events, then updates the charts if they changed
+	 * @param {EventSpec[]} events
+	 */
+	setEvents(events) {
+		if (JSON.stringify(events) === JSON.stringify(this.getEvents()))
+			return;
+		this.listEl.replaceChildren(...events.map(event => this._createRow(event)));
+		this._update();
+	}
+
+	/**
+	 * Checks the events against the current equation, showing the invalid ones
+	 * @returns {boolean} Whether all of them are valid
+	 */
+	validate() {
+		const expressions = this.equation.getExpressions();
+		const problems = [];
+		for (const { expression } of this.getEvents())
+			try {
+				parseEvent(expression, expressions);
+			} catch (error) {
+				problems.push(`${expression}: ${error.message}`);
+			}
+		this.errorEl.textContent = problems.join('; ');
+		return !problems.length;
+	}
+
+	/**
+	 * Notifies the charts of the new events, unless some of them are not valid
+	 */
+	_update() {
+		if (this.validate())
+			eventManager.dispatchEvent(new CustomEvent('eventsUpdated', { detail: this.getEvents() }));
+	}
+
+	/**
+	 * Creates the inputs of an event: the expression of g, whether it stops the integration, and a button removing it
+	 * @param {EventSpec} event
+	 * @returns {HTMLElement}
+	 */
+	_createRow({ expression, terminal }) {
+		const row = document.createElement('div');
+		const input = document.createElement('input');
+		input.type = 'text';
+		input.spellcheck = false;
+		input.placeholder = 'g, e.g. y - 10';
+		input.value = expression;
+		const select = document.createElement('select');
+		select.add(new Option('record', 'record'));
+		select.add(new Option('stop', 'stop'));
+		select.value = terminal ? 'stop' : 'record';
+		const remove = document.createElement('button');
+		remove.type = 'button';
+		remove.textContent = 'Remove';
+		remove.addEventListener('click', () => {
+			row.remove();
+			this._update();
+		});
+		input.addEventListener('input', () => this._update());
+		select.addEventListener('change', () => this._update());
+		row.append(input, select, remove);
+		return row;
+	}
+
+	/**
+	 * Registers listeners to adding an event, and to the equation changing (which may change the variables)
+	 */
+	_registerListeners() {
+		this.addEl.addEventListener('click', () => {
+			const row = this._createRow({ expression: '', terminal: false });
+			this.listEl.appendChild(row);
+			row.querySelector('input').focus();
+		});
+		eventManager.addEventListener('functionsUpdated', () => this.validate());
+	}
+}
+
 /**
  * Generalization of a controller that accepts an HTML element to draw a graph on
  * @abstract
@@ -26,11 +391,31 @@ class ChartController {
 		if (new.target === ChartController) throw new TypeError('Cannot instantiate abstract class');
 		this.ctx = canvas.getContext('2d');
 		this.chart = null;
+		/** Zooming, panning, the scale of the y-axis and the crosshair, kept from one chart to the next */
+		this.interaction = new ChartInteraction(canvas);
 		this._registerListeners(...args);
 	}
+
+	/**
+	 * Draws a new chart, with the zoom and the scale of the y-axis (the axis with the id `y`) of the previous one
+	 * @param {Object} config The configuration of the Chart.js chart
+	 * @param {?string} group The quantity on the x-axis: the crosshair moves along on the other charts showing it
+	 * @returns {Object} The chart
+	 */
+	_createChart(config, group) {
+		this.chart = new Chart(this.ctx, this.interaction.configure(config, group));
+		this.interaction.attach(this.chart);
+		return this.chart;
+	}
 	/** @param {...any} args Included to allow subclasses to add any parameters needed */
 	getData(...args) { }
 
+	/**
+	 * The data shown on the chart, one series per method, for exporting
+	 * @returns {Series[]}
+	 */
+	getSeries() { return []; }
+
 	/** @param {...any} args Included to allow subclasses to add any parameters needed */
 	buildChart(...args) { throw new TypeError('Not implemented'); }
 
@@ -38,6 +423,203 @@ class ChartController {
 	_registerListeners(...args) { }
 }
 
+/**
+ * Parses the text of an initial value, which is a single number or, for systems, numbers separated by `;` or `,`
+ * @param {string} text
+ * @returns {State} The parsed value (NaN if it is not valid)
+ */
+function parseState(text) {
+	const values = text.split(/[;,]/).map(parseFloat);
+	if (!values.every(Number.isFinite))
+		return NaN;
+	return values.length === 1 ? values[0] : values;
+}
+
+/**
+ * Parses the text of a number of steps, which has to be a whole number of at least 1
+ * @param {string} text
+ * @returns {number} The number (NaN if it is not valid)
+ */
+function parseStepCount(text) {
+	const value = Number(text);
+	return text.trim() && Number.isInteger(value) && value >= 1 ? value : NaN;
+}
+
+/**
+ * Names of the components of the state, used to label the datasets of systems of equations
+ * @param {DifferentialFunction} funcs The equation
+ * @param {number} dimension The number of components of the state
+ * @returns {string[]}
+ */
+function componentNames(funcs, dimension) {
+	if (funcs.order > 1)
+		return Array.from({ length: dimension }, (_, i) => 'y' + '\''.repeat(i));
+	return Array.from({ length: dimension }, (_, i) => `y${i + 1}`);
+}
+
+/** Dash patterns that tell apart the components of the same solution */
+const componentDashes = [[], [8, 4], [2, 3], [8, 3, 2, 3]];
+
+/**
+ * Creates the chart datasets of a solution, one per component of its state
+ * @param {Object} dataset The options of the dataset (data, label, colour, ...)
+ * @param {string[]} names The names of the components, appended to the label if there is more than one
+ * @returns {Object[]}
+ */
+function componentDatasets(dataset, names) {
+	/** @type {point[]} */
+	const data = dataset.data;
+	if (!data.length || typeof data[0].y === 'number')
+		return [dataset];
+	return names.map((name, i) => ({
+		...dataset,
+		label: `${dataset.label} ${name}`,
+		borderDash: componentDashes[i % componentDashes.length],
+		data: data.map(({ x, y }) => ({ x, y: components(y)[i] })),
+	}));
+}
+
+/**
+ * Draws the direction field and the isoclines of a scalar equation behind the curves of the solution chart,
+ * over the area the axes show. Its options (`options.plugins.slopeField`) give the derivative, how many segments
+ * to draw across the chart, and which of the two to draw
+ */
+const slopeFieldPlugin = {
+	id: 'slopeField',
+
+	/**
+	 * @param {Object} chart The Chart.js chart
+	 * @param {number} easing The progress of the animation
+	 * @param {{f: function(number, number): number, density: number, field: boolean, isoclines: boolean}} options
+	 */
+	beforeDatasetsDraw(chart, easing, options) {
+		if (!options || !options.f)
+			return;
+		const { ctx, chartArea: area } = chart;
+		const { x: xScale, y: yScale } = chart.scales;
+		const width = area.right - area.left, height = area.bottom - area.top;
+		const columns = options.density;
+		const rows = Math.max(2, Math.round(columns * height / width));
+		// The grids are evenly spaced on the screen, whatever the scales
+		const xsAcross = (/** @type {number[]} */ ts) => ts.map(t => xScale.getValueForPixel(area.left + t * width));
+		const ysAcross = (/** @type {number[]} */ ts) => ts.map(t => yScale.getValueForPixel(area.bottom - t * height));
+		// The segments are in the middle of the cells
+		const xs = xsAcross(grid(0.5 / columns, 1 - 0.5 / columns, columns));
+		const ys = ysAcross(grid(0.5 / rows, 1 - 0.5 / rows, rows));
+		const points = slopeField(options.f, xs, ys);
+
+		ctx.save();
+		ctx.beginPath();
+		ctx.rect(area.left, area.top, width, height);
+		ctx.clip();
+
+		if (options.field) {
+			const length = 0.35 * Math.min(width / columns, height / rows);
+			const dx = (xs[xs.length - 1] - xs[0]) * 1e-3;
+			ctx.strokeStyle = 'rgba(0, 0, 0, 0.4)';
+			ctx.lineWidth = 1;
+			ctx.beginPath();
+			for (const { x, y, slope } of points) {
+				// The direction is taken on the screen, so that the segments look as steep as the curves through them
+				const px = xScale.getPixelForValue(x), py = yScale.getPixelForValue(y);
+				const u = xScale.getPixelForValue(x + dx) - px, v = yScale.getPixelForValue(y + slope * dx) - py;
+				const k = length / Math.hypot(u, v);
+				if (!Number.isFinite(k))
+					continue;
+				ctx.moveTo(px - k * u, py - k * v);
+				ctx.lineTo(px + k * u, py + k * v);
+			}
+			ctx.stroke();
+		}
+
+		if (options.isoclines) {
+			const levels = isoclineLevels(points.map(({ slope }) => slope), 7);
+			const curves = isoclines(options.f, xsAcross(grid(0, 1, 3 * columns)), ysAcross(grid(0, 1, 3 * rows)), levels);
+			ctx.strokeStyle = ctx.fillStyle = 'rgba(30, 90, 200, 0.7)';
+			ctx.font = '11px sans-serif';
+			ctx.setLineDash([5, 4]);
+			for (const { level, segments } of curves) {
+				if (!segments.length)
+					continue;
+				ctx.beginPath();
+				for (const { x1, y1, x2, y2 } of segments) {
+					ctx.moveTo(xScale.getPixelForValue(x1), yScale.getPixelForValue(y1));
+					ctx.lineTo(xScale.getPixelForValue(x2), yScale.getPixelForValue(y2));
+				}
+				ctx.stroke();
+				// Labelled at a point in the middle of the curve
+				const { x1, y1 } = segments[Math.floor(segments.length / 2)];
+				ctx.fillText(`y' = ${level}`, xScale.getPixelForValue(x1) + 3, yScale.getPixelForValue(y1) - 3);
+			}
+		}
+		ctx.restore();
+	},
+};
+
+/**
+ * Chart.js plugin drawing a step of the walkthrough: the values of the derivative it used, as points with a segment
+ * of their slope, and the line from the point it started at to the one it reached, which is highlighted.
+ * Only the first component of systems is drawn
+ */
+const walkthroughPlugin = {
+	id: 'walkthrough',
+
+	/**
+	 * @param {Object} chart The Chart.js chart
+	 * @param {number} easing The progress of the animation
+	 * @param {{step: StepTrace, color: string}} options
+	 */
+	afterDatasetsDraw(chart, easing, options) {
+		if (!options || !options.step)
+			return;
+		const { ctx, chartArea: area } = chart;
+		const { x: xScale, y: yScale } = chart.scales;
+		const { x, y, h, stages, next } = options.step;
+		const px = (/** @type {number} */ value) => xScale.getPixelForValue(value);
+		const py = (/** @type {State} */ value) => yScale.getPixelForValue(components(value)[0]);
+
+		ctx.save();
+		ctx.beginPath();
+		ctx.rect(area.left, area.top, area.right - area.left, area.bottom - area.top);
+		ctx.clip();
+
+		ctx.strokeStyle = options.color;
+		ctx.lineWidth = 2;
+		ctx.setLineDash([6, 4]);
+		ctx.beginPath();
+		ctx.moveTo(px(x), py(y));
+		ctx.lineTo(px(next.x), py(next.y));
+		ctx.stroke();
+		ctx.setLineDash([]);
+
+		ctx.font = '12px sans-serif';
+		stages.forEach((stage, i) => {
+			// The segments span half a step, so that those of neighbouring stages do not overlap much
+			const d = h / 4, value = components(stage.y)[0], slope = components(stage.slope)[0];
+			ctx.strokeStyle = ctx.fillStyle = stage.reused ? 'gray' : options.color;
+			ctx.lineWidth = 1.5;
+			ctx.beginPath();
+			ctx.moveTo(px(stage.x - d), yScale.getPixelForValue(value - slope * d));
+			ctx.lineTo(px(stage.x + d), yScale.getPixelForValue(value + slope * d));
+			ctx.stroke();
+			ctx.beginPath();
+			ctx.arc(px(stage.x), py(stage.y), 4, 0, 2 * Math.PI);
+			ctx.fill();
+			ctx.fillText(`k${i + 1}`, px(stage.x) + 6, py(stage.y) - 6);
+		});
+
+		ctx.strokeStyle = options.color;
+		ctx.lineWidth = 3;
+		ctx.beginPath();
+		ctx.arc(px(next.x), py(next.y), 9, 0, 2 * Math.PI);
+		ctx.stroke();
+		ctx.restore();
+	},
+};
+
+/** Added to the title of the main chart while the reference solution is computed in the background */
+const computingReference = ' (computing the reference solution...)';
+
 /**
  * Manages the interface of the main chart
  */
@@ -45,237 +627,1004 @@ export class SolutionGraph extends ChartController {
 	/**
 	 * @param {HTMLCanvasElement} canvas
 	 * @param {DifferentialFunction} funcs The function pair (exact and derivative) to compute
-	 * @param {Object<string, number>} [values] The parameters based on which to calculate the approximations
-	 * @param {Object<string, HTMLInputElement>} [elements] The input elements to listen for changes on
+	 * @param {Object<string, State>} [values] The parameters based on which to calculate the approximations
+	 * @param {Object<string, HTMLElement>} [elements] The input elements to listen for changes on
+	 * @param {EventTarget} [channel] Where the equation comes from and the approximations go to, the one of the page by default
 	 */
-	constructor(canvas, funcs, { x0 = 0, y0 = 0, X = 1, N = 20 } = {}, { x0El, y0El, XEl, hEl } = {}) {
-		/** @type {Object<String, {el: HTMLInputElement, val: number}>} */
+	constructor(canvas, funcs, { x0 = 0, y0 = 0, X = 1, N = 20, tol = 1e-6 } = {}, {
+		x0El, y0El, XEl, hEl, tolEl, y0ErrorEl, phaseEl, statsEl, warningsEl, eventListEl,
+		fieldEl, isoclinesEl, densityEl, trajectoryMethodEl, clearTrajectoriesEl,
+	} = {}, channel = eventManager) {
+		/** @type {Object<String, {el: HTMLInputElement, val: any, parse?: function(string): State, errorEl?: HTMLElement}>} */
 		const vars = {
 			x0: { el: x0El || document.getElementById('x0'), val: x0 },
-			y0: { el: y0El || document.getElementById('y0'), val: y0 },
+			y0: {
+				el: y0El || document.getElementById('y0'),
+				val: y0,
+				parse: parseState,
+				errorEl: y0ErrorEl || document.getElementById('y0-error'),
+			},
 			X: { el: XEl || document.getElementById('X'), val: X },
-			N: { el: hEl || document.getElementById('N'), val: N },
+			N: { el: hEl || document.getElementById('N'), val: N, parse: parseStepCount },
+			tol: { el: tolEl || document.getElementById('tol'), val: tol },
+		};
+		/** @type {HTMLInputElement} Checkbox to plot the first two components against each other instead of against x */
+		// @ts-ignore
+		const phase = phaseEl || document.getElementById('phase-plane');
+		/** Controls of the direction field, and of the trajectories started by clicking the chart */
+		const overlay = {
+			/** @type {HTMLInputElement} */
+			// @ts-ignore
+			field: fieldEl || document.getElementById('slope-field'),
+			/** @type {HTMLInputElement} */
+			// @ts-ignore
+			isoclines: isoclinesEl || document.getElementById('isoclines'),
+			/** @type {HTMLInputElement} */
+			// @ts-ignore
+			density: densityEl || document.getElementById('field-density'),
+			/** @type {HTMLSelectElement} */
+			// @ts-ignore
+			method: trajectoryMethodEl || document.getElementById('trajectory-method'),
+			clear: clearTrajectoriesEl || document.getElementById('clear-trajectories'),
 		};
-		super(canvas, vars);
+		super(canvas, vars, phase, overlay, channel);
 
+		/** The crosshair moves along with the other charts of the page, but the chart of a panel shows another problem */
+		this.crosshairGroup = channel === eventManager ? 'x' : canvas.id;
 		this.vars = vars;
 		this.funcs = funcs;
+		this.phaseEl = phase;
+		this.overlay = overlay;
+		this.channel = channel;
+		/** @type {Array<{x0: number, y0: number, key: string}>} Where the trajectories added by clicking start, and their method */
+		this.starts = [];
+		/** @type {Series[]} The trajectories computed in the last build */
+		this.trajectories = [];
+		this._showTrajectoryMethods();
+		/** @type {HTMLElement} Table body listing how many times each method evaluated the derivative */
+		this.statsEl = statsEl || document.getElementById('evaluations');
+		/** @type {HTMLElement} Banner listing the methods that stopped before reaching X */
+		this.warningsEl = warningsEl || document.getElementById('warnings');
+		/** @type {Diagnostic[]} Why some methods (or the exact solution) stopped early in the last build */
+		this.diagnostics = [];
+		/** @type {HTMLElement} Table body listing the events found by each method */
+		this.eventListEl = eventListEl || document.getElementById('event-list');
+		/** @type {EventSpec[]} The events every method looks for */
+		this.events = [];
+		/** @type {Object<string, EventOccurrence[]>} The events found by each method in the last build, by its key */
+		this.occurrences = {};
 
-		/** @type {point[]} */  this.eulerData = [];
-		/** @type {point[]} */  this.improvedEulerData = [];
-		/** @type {point[]} */  this.rungeKuttaData = [];
+		/** @type {Object<string, Solution>} The approximations of each method shown, by its key */
+		this.approximations = {};
 		/** @type {point[]} */  this.exactData = [];
 		/** @type {number[]} */ this.domain = [];
+		/** @type {Object} The configuration of the last build */
+		this.config = null;
+		/** Whether the last build drew the phase plane */
+		this.phase = false;
+		/** @type {?{step: StepTrace, color: string}} The step of the walkthrough drawn over the chart, in the colour of its method */
+		this.walkthrough = null;
+		/** Computes the reference solution in the background, which can take long */
+		this.runner = new BackgroundRunner();
 	}
 
 	getData() {
 		return {
-			euler: this.eulerData,
-			improvedEuler: this.improvedEulerData,
-			rungeKutta: this.rungeKuttaData,
+			...this.approximations,
 			exact: this.exactData,
 			domain: this.domain,
 		};
 	}
 
+	getSeries() {
+		const series = registry.visible().map(({ key, label }) => ({ label, data: this.approximations[key] || [] }));
+		if (this.exactData.length)
+			series.push({ label: this.funcs.reference ? 'Reference' : 'Exact', data: this.exactData });
+		return series.concat(this.trajectories);
+	}
+
+	/**
+	 * Replaces the values of the inputs, then rebuilds the chart
+	 * @param {Object<string, State>} values The new values, by the name of the input
+	 * @param {boolean} [rebuild] Whether to rebuild the chart, rather than leaving it to a change of the equation that follows
+	 */
+	setValues(values, rebuild = true) {
+		for (const [name, obj] of Object.entries(this.vars)) {
+			if (values[name] === undefined)
+				continue;
+			obj.val = values[name];
+			obj.el.value = components(obj.val).join('; ');
+		}
+		if (rebuild)
+			this.buildChart();
+	}
+
+	/**
+	 * Checks that the initial value has as many components as the equation
+	 * @param {number} x0 The initial point
+	 * @param {State} y0 The initial value
+	 * @returns {string} Description of the problem, or an empty string if there is none
+	 */
+	_checkDimension(x0, y0) {
+		const dimension = components(y0).length;
+		// The derivative of a higher-order equation returns as many components as it is given, so it cannot tell
+		const { order } = this.funcs;
+		if (order > 1 && dimension !== order)
+			return `An equation of order ${order} needs ${order} initial values (y, y', ...), but ${dimension} ${dimension === 1 ? 'was' : 'were'} given`;
+		try {
+			const slope = this.funcs.derivative(x0, y0);
+			if (components(slope).length === dimension)
+				return '';
+			return `The equation has ${components(slope).length} components, but ${dimension} initial value${dimension === 1 ? ' was' : 's were'} given`;
+		} catch (error) {
+			return `The initial value does not match the equation (${dimension} component${dimension === 1 ? '' : 's'} given)`;
+		}
+	}
+
 	/**
 	 * Refreshes the chart using the latest input parameters
 	 */
 	buildChart() {
-		if (this.chart)
-			this.chart.destroy();
-
 		const config = {
 			x0: this.vars.x0.val,
 			y0: this.vars.y0.val,
 			X: this.vars.X.val,
 			N: this.vars.N.val,
 			h: (this.vars.X.val - this.vars.x0.val) / this.vars.N.val,
+			atol: this.vars.tol.val,
+			rtol: this.vars.tol.val,
 		};
 
-		const euler = new Euler(this.funcs.derivative.bind(this.funcs), config);
-		const improvedEuler = new ImprovedEuler(this.funcs.derivative.bind(this.funcs), config);
-		const rungeKutta = new RungeKutta(this.funcs.derivative.bind(this.funcs), config);
+		// Keep the previous chart if the initial value does not fit the (new) equation
+		const problem = this._checkDimension(config.x0, config.y0);
+		this.vars.y0.errorEl.textContent = problem;
+		if (problem)
+			return;
+		this.config = config;
+
+		if (this.chart)
+			this.chart.destroy();
+
+		const df = this.funcs.derivative.bind(this.funcs);
+		// The events are only looked for here, the errors are always those of the integrations up to X
+		const events = this._compileEvents();
+		const shown = registry.visible();
+
+		// The same points as the fixed-step methods, so that all the series line up
+		this.domain = stepGrid(config.x0, config.X, config.N);
 
-		this.domain = Array.from({ length: config.N },
-			(_, i) => (i * config.h + config.x0));
-		const xLabels = this.domain.map(x => x.toFixed(5));
+		/** @type {Object<string, Diagnostic>} */
+		const failures = {};
+		/** @type {Object<string, number>} */
+		const evaluations = {};
+		/** @type {Object<string, string>} How many steps each adaptive method accepted and rejected */
+		const steps = {};
+		this.approximations = {};
+		this.occurrences = {};
+		for (const { key, Method, label, adaptive } of shown) {
+			const method = new Method(df, { ...config, events, jacobian: this.funcs.jacobian });
+			this.approximations[key] = method();
+			failures[key] = method.diagnostic && { ...method.diagnostic, method: label };
+			evaluations[key] = method.evaluations;
+			this.occurrences[key] = method.occurrences;
+			if (adaptive) {
+				const { accepted, rejected } = /** @type {import('./models').DormandPrince} */ (method);
+				steps[key] = `${accepted} accepted, ${rejected} rejected steps`;
+			}
+		}
+		this._showEvaluations(shown, evaluations);
+		this._showEvents(shown);
+		this.exactData = [];
+		let exactLabel = 'Exact';
+		let pending = false;
+		if (this.funcs.family) {
+			// The exact solution has to go through the current initial value, so its constants are found again
+			try {
+				const values = this.funcs.fit(config.x0, config.y0);
+				const names = constantNames(values.length);
+				exactLabel += ` (${values.map((value, i) => `${names[i]} = ${Number(value.toPrecision(6))}`).join(', ')})`;
+			} catch (error) {
+				failures.exact = { method: 'Exact solution', reason: 'exact', x: config.x0, message: error.message };
+			}
+		} else if (this.funcs.needsReference && this.funcs.hasReference(config.x0, config.y0, config.X)) {
+			const { reference } = this.funcs;
+			exactLabel = `Reference (${reference.N} Runge-Kutta steps, ${referenceAccuracy(reference)})`;
+		} else if (this.funcs.needsReference) {
+			// The reference of other inputs is dropped, the chart is built again once the new one is computed
+			this.funcs.setReference(config.x0, config.y0, config.X, null);
+			pending = this._computeReference(config);
+		}
+		if (this.funcs.hasExact)
+			({ data: this.exactData, diagnostic: failures.exact } = this.funcs.tabulateExact(this.domain));
+		// The reason the reference stopped tells more than where it is not defined
+		if (this.funcs.reference && this.funcs.reference.diagnostic)
+			failures.exact = { ...this.funcs.reference.diagnostic, method: 'Reference solution' };
 
-		this.eulerData = euler();
-		this.improvedEulerData = improvedEuler();
-		this.rungeKuttaData = rungeKutta();
-		this.exactData = this.domain.map(x => ({ x, y: this.funcs.exact(x) }));
+		this.diagnostics = Object.values(failures).filter(failure => failure);
+		this._showWarnings();
 
-		eventManager.dispatchEvent(new CustomEvent('approximationsUpdated', {
-			detail: { ...this.getData(), config, },
+		this.channel.dispatchEvent(new CustomEvent('approximationsUpdated', {
+			detail: { ...this.getData(), config, funcs: this.funcs },
 		}));
 
-		this.chart = new Chart(this.ctx, {
+		const dimension = components(config.y0).length;
+		const names = componentNames(this.funcs, dimension);
+		const phase = this.phaseEl.checked && dimension >= 2;
+		this.phase = phase;
+		const adaptiveShown = shown.filter(({ adaptive }) => adaptive);
+
+		/** @type {Object[]} */
+		const series = shown.map(({ key, label, color, adaptive }) => {
+			const notes = [steps[key], failures[key] && `stopped at x = ${failures[key].x.toPrecision(4)}`].filter(note => note);
+			return {
+				data: this.approximations[key],
+				label: notes.length ? `${label} (${notes.join(', ')})` : label,
+				borderColor: color,
+				// The points of adaptive methods show where they chose to step
+				pointRadius: adaptive ? 4 : undefined,
+			};
+		});
+		if (this.funcs.hasExact)
+			series.push({ data: this.exactData, label: exactLabel, borderColor: 'black' });
+		// The direction field and the trajectories started by clicking are only drawn for scalar equations
+		const scalar = dimension === 1;
+		this.trajectories = scalar ? this._computeTrajectories(config) : [];
+		series.push(...this.trajectories);
+
+		let datasets;
+		if (phase) {
+			// Only solutions with all their components known can be drawn on the phase plane
+			datasets = series
+				.filter(({ data }) => data.length && typeof data[0].y !== 'number')
+				.map(dataset => ({
+					...dataset,
+					data: dataset.data.map(({ y }) => ({ x: components(y)[0], y: components(y)[1] })),
+				}));
+		} else {
+			datasets = [].concat(...series.map(dataset => componentDatasets(dataset, names)));
+			// Drawn as staircases on a separate axis to show where the adaptive methods changed their steps
+			for (const { key, label, color } of adaptiveShown)
+				datasets.push({
+					data: this.approximations[key].slice(1).map(({ x, h }) => ({ x, y: Math.abs(h) })),
+					label: `${label} step size`,
+					borderColor: color,
+					borderDash: [4, 4],
+					pointRadius: 0,
+					steppedLine: 'after',
+					yAxisID: 'step',
+				});
+		}
+
+		// Triangles where each method found an event, in its colour
+		const found = shown
+			.map(({ key, color }) => this.occurrences[key].map(({ x, y }) => ({ x, y, color })));
+		const marks = [].concat(...found).filter(({ y }) => !phase || typeof y !== 'number');
+		if (marks.length)
+			datasets.push({
+				data: marks.map(({ x, y }) => phase
+					? { x: components(y)[0], y: components(y)[1] }
+					: { x, y: components(y)[0] }),
+				label: 'Events',
+				borderColor: 'black',
+				pointBackgroundColor: marks.map(({ color }) => color),
+				pointStyle: 'triangle',
+				pointRadius: 7,
+				showLine: false,
+			});
+
+		// Crosses where a method (or the exact solution) stopped, at the last value it reached
+		const stops = this.diagnostics.filter(({ y }) => y !== undefined && (!phase || typeof y !== 'number'));
+		if (stops.length)
+			datasets.push({
+				data: stops.map(({ x, y }) => phase
+					? { x: components(y)[0], y: components(y)[1] }
+					: { x, y: components(y)[0] }),
+				label: 'Stopped',
+				borderColor: 'red',
+				backgroundColor: 'red',
+				pointStyle: 'crossRot',
+				pointRadius: 8,
+				pointBorderWidth: 2,
+				showLine: false,
+			});
+
+		const { field, isoclines, density } = this.overlay;
+		const f = (/** @type {number} */ x, /** @type {number} */ y) => /** @type {number} */ (this.funcs.derivative(x, y));
+		this._createChart({
 			type: 'line',
+			plugins: [slopeFieldPlugin, walkthroughPlugin],
 			options: {
 				title: {
-					text: 'Solution vs approximations',
+					text: `${phase ? 'Phase plane' : 'Solution vs approximations'}${pending ? computingReference : ''}`,
 					display: true,
 				},
+				plugins: {
+					slopeField: scalar && (field.checked || isoclines.checked) && {
+						f,
+						density: Math.min(Math.max(parseInt(density.value) || 20, 5), 60),
+						field: field.checked,
+						isoclines: isoclines.checked,
+					},
+					walkthrough: !phase && this.walkthrough,
+				},
+				onClick: scalar ? (/** @type {MouseEvent} */ event) => this._addTrajectory(event) : null,
 				scales: {
 					xAxes: [{
+						id: 'x',
+						type: 'linear',
 						scaleLabel: {
 							display: true,
-							labelString: 'x',
+							labelString: phase ? names[0] : 'x',
 						},
 					}],
 					yAxes: [{
+						id: 'y',
+						scaleLabel: {
+							display: true,
+							labelString: phase ? names[1] : 'f(x)',
+						},
+					}, {
+						id: 'step',
+						display: !phase && adaptiveShown.length > 0,
+						position: 'right',
+						gridLines: { drawOnChartArea: false },
 						scaleLabel: {
 							display: true,
-							labelString: 'f(x)',
+							labelString: 'Step size',
 						},
 					}],
 				},
 			},
 			data: {
-				labels: xLabels,
-				datasets: [
-					{ data: this.eulerData, label: 'Euler', borderColor: 'aqua', },
-					{ data: this.improvedEulerData, label: 'Improved-Euler', borderColor: 'lime' },
-					{ data: this.rungeKuttaData, label: 'Runge-Kutta', borderColor: 'brown' },
-					{ data: this.exactData, label: 'Exact', borderColor: 'black' },
-				],
+				datasets,
 			},
-		});
+		}, phase ? null : this.crosshairGroup);
 	}
 
 	/**
-	 * Registers listeners to changes on input to update the respective variables and the chart
-	 * @param {Object<String, {el: HTMLInputElement, val: number}>} vars Object containing HTML input elements and their respective initial values 
+	 * Stops following the methods shown and the crosshairs of the other charts, and destroys the chart, once it is removed from the page
 	 */
-	_registerListeners(vars) {
-		for (let obj of Object.values(vars)) {
-			obj.el.value = obj.val;
-			obj.el.addEventListener('input', (event) => {
-				let input = parseFloat(event.target.value);
-				if (!Number.isFinite(input) || input === obj.val)
-					return;
-				obj.val = input;
-				this.buildChart();
-			});
-		}
+	dispose() {
+		registry.removeEventListener('change', this._onRegistryChange);
+		if (this.chart)
+			this.chart.destroy();
+		this.chart = null;
+		this.interaction.dispose();
+		this.runner.dispose();
 	}
-}
 
-/**
- * Specific functionality common to Error graphs
- * @abstract
- */
-class ErrorChartController extends ChartController {
 	/**
-	 * Initializes local data
-	 * @param {HTMLCanvasElement} canvas Element to draw the chart on
+	 * Computes the reference solution of the equation in the background, and builds the chart again with it
+	 * @param {Object} config Contains x0, y0 and X
+	 * @returns {boolean} Whether it is being computed, which needs the text of the equation
 	 */
-	constructor(canvas) {
-		super(canvas);
-
-		/** @type {point[]} */ this.eulerData = [];
-		/** @type {point[]} */ this.improvedEulerData = [];
-		/** @type {point[]} */ this.rungeKuttaData = [];
+	_computeReference({ x0, y0, X }) {
+		const funcs = this.funcs;
+		if (!funcs.source)
+			return false;
+		this.runner.run({ type: 'reference', equation: funcs.source, config: { x0, y0, X } }, (message) => {
+			if (message.type === 'done') {
+				funcs.setReference(x0, y0, X, { reference: message.reference, points: message.solution });
+				if (funcs === this.funcs)
+					this.buildChart();
+			} else if (message.type === 'error' && funcs === this.funcs) {
+				this.diagnostics.push({ method: 'Reference solution', reason: 'exact', x: x0, message: message.message });
+				this._showWarnings();
+				if (this.chart) {
+					this.chart.options.title.text = this.chart.options.title.text.replace(computingReference, '');
+					this.chart.update();
+				}
+			}
+		});
+		return true;
 	}
 
 	/**
-	 * Returns the data currently held in the object
-	 * @returns {Object<string, point[]>}
+	 * Draws a step of the walkthrough over the chart, replacing the one drawn before
+	 * @param {?{step: StepTrace, color: string}} walkthrough The step and the colour of its method, or `null` to draw none
 	 */
-	getData() {
-		return {
-			euler: this.eulerData,
-			improvedEuler: this.improvedEulerData,
-			rungeKutta: this.rungeKuttaData
-		};
+	showStep(walkthrough) {
+		this.walkthrough = walkthrough;
+		if (!this.chart || this.phase)
+			return;
+		this.chart.options.plugins.walkthrough = walkthrough;
+		this.chart.update({ duration: 0 });
 	}
 
 	/**
-	 * Registers listener to changes in approximation chart updates to update error
+	 * Compiles the events for the current equation, skipping those that do not fit it
+	 * @returns {EventFunction[]}
 	 */
-	_registerListeners() {
-		eventManager.addEventListener('approximationsUpdated', this.buildChart.bind(this));
+	_compileEvents() {
+		/** @type {EventFunction[]} */
+		const compiled = [];
+		for (const { expression, terminal } of this.events)
+			try {
+				compiled.push({ name: expression, g: parseEvent(expression, this.funcs.source), terminal });
+			} catch (error) {
+				// Reported next to the input of the event
+			}
+		return compiled;
 	}
-}
 
-/**
- * Manages the chart for showing the global error
- */
-export class GlobalError extends ErrorChartController {
 	/**
-	 * @param {HTMLCanvasElement} canvas
-	 * @param {DifferentialFunction} funcs The function pair (exact and derivative) to compute
+	 * Runs the chosen method from each of the points added by clicking the chart, up to X with the current step size
+	 * @param {Object} config The configuration of the build
+	 * @returns {Object[]} The datasets of the trajectories, as dashed lines in the colour of their method
 	 */
-	constructor(canvas, funcs) {
-		super(canvas);
-		this.funcs = funcs;
+	_computeTrajectories(config) {
+		const df = this.funcs.derivative.bind(this.funcs);
+		return this.starts
+			.filter(({ x0, key }) => x0 !== config.X && registry.get(key))
+			.map(({ x0, y0, key }) => {
+				const { Method, label, color } = registry.get(key);
+				const N = stepCount(x0, config.X, config.h);
+				const method = new Method(df, { ...config, x0, y0, N, jacobian: this.funcs.jacobian });
+				return {
+					data: method(),
+					label: `${label} from (${Number(x0.toPrecision(3))}, ${Number(y0.toPrecision(3))})`,
+					borderColor: color,
+					borderDash: [6, 3],
+					pointRadius: 1,
+				};
+			});
 	}
 
 	/**
-	 * Updates the chart whenever the steps count gets updated
-	 * @param {Object} eventData Contains the updated configuration, along with the new function data
+	 * Starts a trajectory at the point of the chart that was clicked, with the method chosen for them
+	 * @param {MouseEvent} event
 	 */
-	buildChart(eventData) {
-		const data = eventData.detail;
-		const { exact, config } = data;
-		if (this.chart)
-			this.chart.destroy();
+	_addTrajectory(event) {
+		// The click that ends dragging the chart around does not start a trajectory
+		if (this.interaction.dragged)
+			return;
+		const { x, y } = Chart.helpers.getRelativePosition(event, this.chart);
+		const { left, right, top, bottom } = this.chart.chartArea;
+		if (x < left || x > right || y < top || y > bottom || !this.overlay.method.value)
+			return;
+		const { x: xScale, y: yScale } = this.chart.scales;
+		this.starts.push({ x0: xScale.getValueForPixel(x), y0: yScale.getValueForPixel(y), key: this.overlay.method.value });
+		this.buildChart();
+	}
 
-		const euler = new Euler(this.funcs.derivative.bind(this.funcs), config);
-		const improvedEuler = new ImprovedEuler(this.funcs.derivative.bind(this.funcs), config);
-		const rungeKutta = new RungeKutta(this.funcs.derivative.bind(this.funcs), config);
+	/**
+	 * Fills the list of the methods the trajectories can be computed with, keeping the chosen one if it is still there
+	 */
+	_showTrajectoryMethods() {
+		const select = this.overlay.method;
+		const chosen = select.value || 'rungeKutta';
+		select.replaceChildren(...registry.all().map(({ key, label }) => new Option(label, key)));
+		if (registry.get(chosen))
+			select.value = chosen;
+	}
 
-		const domain = Array.from({ length: config.N }, (_, i) => i + 1);
+	/**
+	 * Lists the methods that stopped before reaching X, hiding the banner if all of them got there
+	 */
+	_showWarnings() {
+		const items = this.diagnostics.map(({ method, message }) => {
+			const item = document.createElement('li');
+			item.textContent = `${method}: ${message}`;
+			return item;
+		});
+		this.warningsEl.replaceChildren(...items);
+		this.warningsEl.hidden = !items.length;
+	}
 
-		/** @type {point[]} */ this.eulerData = [];
-		/** @type {point[]} */ this.improvedEulerData = [];
-		/** @type {point[]} */ this.rungeKuttaData = [];
+	/**
+	 * Fills the table of the events found by each method, in the order they happened
+	 * @param {Array<{key: string, label: string}>} shown The methods that were run
+	 */
+	_showEvents(shown) {
+		const format = (/** @type {number} */ value) => String(Number(value.toPrecision(6)));
+		const rows = [];
+		for (const { key, label } of shown)
+			for (const { name, x, y, terminal } of this.occurrences[key]) {
+				const row = document.createElement('tr');
+				for (const text of [label, `${name} = 0${terminal ? ' (stop)' : ''}`, format(x), components(y).map(format).join('; ')]) {
+					const cell = document.createElement('td');
+					cell.textContent = text;
+					row.appendChild(cell);
+				}
+				rows.push(row);
+			}
+		this.eventListEl.replaceChildren(...rows);
+	}
+
+	/**
+	 * Fills the table comparing the number of derivative evaluations of each method with that of Runge-Kutta
+	 * @param {Array<{key: string, label: string}>} shown The methods that were run
+	 * @param {Object<string, number>} evaluations The number of evaluations, by the key of the method
+	 */
+	_showEvaluations(shown, evaluations) {
+		const rows = shown.map(({ key, label }) => {
+			const row = document.createElement('tr');
+			const ratio = evaluations[key] / evaluations.rungeKutta;
+			for (const text of [label, String(evaluations[key]), Number.isFinite(ratio) ? `${ratio.toFixed(2)}×` : '-']) {
+				const cell = document.createElement('td');
+				cell.textContent = text;
+				row.appendChild(cell);
+			}
+			return row;
+		});
+		this.statsEl.replaceChildren(...rows);
+	}
+
+	/**
+	 * Registers listeners to changes on input and on the equation to update the respective variables and the chart
+	 * @param {Object<String, {el: HTMLInputElement, val: any, parse?: function(string): State}>} vars Object containing HTML input elements and their respective initial values 
+	 * @param {HTMLInputElement} phaseEl Checkbox toggling the phase-plane view
+	 * @param {Object<string, HTMLElement>} overlay The controls of the direction field and of the trajectories
+	 * @param {EventTarget} channel Where the equation and the events come from
+	 */
+	_registerListeners(vars, phaseEl, { field, isoclines, density, clear }, channel) {
+		channel.addEventListener('functionsUpdated', (/** @type {CustomEvent} */ event) => {
+			this.funcs = event.detail;
+			this.buildChart();
+		});
+		/** Rebuilds the chart with the methods shown, until the chart is disposed of */
+		this._onRegistryChange = () => {
+			this._showTrajectoryMethods();
+			this.buildChart();
+		};
+		registry.addEventListener('change', this._onRegistryChange);
+		channel.addEventListener('eventsUpdated', (/** @type {CustomEvent} */ event) => {
+			this.events = event.detail;
+			this.buildChart();
+		});
+		phaseEl.addEventListener('change', () => this.buildChart());
+		for (const el of [field, isoclines])
+			el.addEventListener('change', () => this.buildChart());
+		density.addEventListener('input', () => this.buildChart());
+		clear.addEventListener('click', () => {
+			this.starts = [];
+			this.buildChart();
+		});
 
-		domain.forEach(N => {
-			/**
-			 * For the N in the closure, returns the difference between the solution and given approximation
-			 * @param {point[]} dataset 
-			 */
-			const diff = (dataset) => ({
-				x: N,
-				y: this.funcs.exact(config.X) - dataset[N - 1].y
+		for (let obj of Object.values(vars)) {
+			obj.el.value = components(obj.val).join('; ');
+			obj.el.addEventListener('input', (event) => {
+				const parse = obj.parse || parseFloat;
+				let input = parse(event.target.value);
+				if (!components(input).every(Number.isFinite) || String(input) === String(obj.val))
+					return;
+				obj.val = input;
+				this.buildChart();
 			});
+		}
+	}
+}
+
+/**
+ * Walks through the steps of a method one at a time, drawing the values of the derivative each step uses
+ * (the stages of Runge-Kutta methods) over the main chart and listing them
+ */
+export class StepWalkthrough {
+	/**
+	 * @param {SolutionGraph} graph The chart to draw the steps over
+	 * @param {Object<string, HTMLElement>} [elements] The controls of the walkthrough and the table of the stages
+	 */
+	constructor(graph, { toggleEl, methodEl, previousEl, nextEl, playEl, positionEl, stagesEl } = {}) {
+		this.graph = graph;
+		/** @type {HTMLInputElement} Checkbox turning the walkthrough on */
+		// @ts-ignore
+		this.toggleEl = toggleEl || document.getElementById('walkthrough');
+		/** @type {HTMLSelectElement} */
+		// @ts-ignore
+		this.methodEl = methodEl || document.getElementById('walkthrough-method');
+		/** @type {HTMLButtonElement} */
+		// @ts-ignore
+		this.previousEl = previousEl || document.getElementById('walkthrough-previous');
+		/** @type {HTMLButtonElement} */
+		// @ts-ignore
+		this.nextEl = nextEl || document.getElementById('walkthrough-next');
+		/** @type {HTMLButtonElement} */
+		// @ts-ignore
+		this.playEl = playEl || document.getElementById('walkthrough-play');
+		this.positionEl = positionEl || document.getElementById('walkthrough-position');
+		/** @type {HTMLElement} Table body listing the values of the derivative used by the step shown */
+		this.stagesEl = stagesEl || document.getElementById('walkthrough-stages');
 
-			const h = (config.X - config.x0) / N;
+		/** @type {StepTrace[]} The steps of the chosen method in the last build */
+		this.steps = [];
+		/** The index of the step shown */
+		this.index = 0;
+		/** @type {number} Advances the steps while playing */
+		this.timer = null;
+		/** @type {{funcs: DifferentialFunction, config: Object}} The equation and configuration of the last build */
+		this.build = null;
 
-			this.eulerData.push(diff(euler({ h })));
-			this.improvedEulerData.push(diff(improvedEuler({ h })));
-			this.rungeKuttaData.push(diff(rungeKutta({ h })));
+		this._showMethods();
+		this._registerListeners();
+		this._show(false);
+	}
+
+	/**
+	 * Shows a step, stopping at the first and the last ones
+	 * @param {number} index The index of the step
+	 */
+	go(index) {
+		this.index = Math.min(Math.max(index, 0), Math.max(this.steps.length - 1, 0));
+		this._show(true);
+	}
+
+	/**
+	 * Starts advancing the steps on their own, or stops if they were
+	 */
+	togglePlay() {
+		if (this.timer !== null)
+			return this._stop();
+		// Playing again from the last step starts over
+		if (this.index >= this.steps.length - 1)
+			this.go(0);
+		this.timer = setInterval(() => {
+			if (this.index >= this.steps.length - 1)
+				return this._stop();
+			this.go(this.index + 1);
+		}, 1000);
+		this.playEl.textContent = 'Pause';
+	}
+
+	/**
+	 * Stops advancing the steps
+	 */
+	_stop() {
+		clearInterval(this.timer);
+		this.timer = null;
+		this.playEl.textContent = 'Play';
+	}
+
+	/**
+	 * Runs the chosen method again with the inputs of the last build, recording its steps
+	 */
+	_trace() {
+		this.steps = [];
+		const entry = registry.get(this.methodEl.value);
+		if (!this.toggleEl.checked || !this.build || !entry)
+			return;
+		const { funcs, config } = this.build;
+		const method = new entry.Method(funcs.derivative.bind(funcs), { ...config, jacobian: funcs.jacobian, trace: true });
+		method();
+		this.steps = method.steps;
+		this.index = Math.min(this.index, Math.max(this.steps.length - 1, 0));
+	}
+
+	/**
+	 * Shows the current step: its position, the table of its stages and its drawing over the chart
+	 * @param {boolean} redraw Whether to redraw the chart, which is not needed while it is being rebuilt
+	 */
+	_show(redraw) {
+		const step = this.steps[this.index];
+		const on = this.toggleEl.checked;
+		for (const el of [this.methodEl, this.playEl])
+			el.disabled = !on;
+		this.previousEl.disabled = !step || this.index === 0;
+		this.nextEl.disabled = !step || this.index === this.steps.length - 1;
+
+		const format = (/** @type {State} */ value) => components(value).map(v => String(Number(v.toPrecision(6)))).join('; ');
+		this.positionEl.textContent = step
+			? `Step ${this.index + 1} of ${this.steps.length}: from x = ${format(step.x)} to ${format(step.next.x)}`
+			: on ? 'No steps to show' : '';
+		const rows = !step ? [] : [
+			...step.stages.map(({ x, y, slope, reused }, i) => [`k${i + 1}${reused ? ' (earlier step)' : ''}`, x, y, slope]),
+			['result', step.next.x, step.next.y, null],
+		].map(cells => {
+			const row = document.createElement('tr');
+			for (const value of cells) {
+				const cell = document.createElement('td');
+				cell.textContent = typeof value === 'string' ? value : value === null ? '' : format(value);
+				row.appendChild(cell);
+			}
+			return row;
 		});
+		this.stagesEl.replaceChildren(...rows);
 
-		eventManager.dispatchEvent(new CustomEvent('globalErrorUpdated', {
-			detail: this.getData(),
-		}));
+		const entry = registry.get(this.methodEl.value);
+		const walkthrough = step ? { step, color: entry.color } : null;
+		if (redraw)
+			this.graph.showStep(walkthrough);
+		else
+			this.graph.walkthrough = walkthrough;
+	}
+
+	/**
+	 * Fills the list of the methods that can be walked through, keeping the chosen one if it is still there
+	 */
+	_showMethods() {
+		const chosen = this.methodEl.value || 'rungeKutta';
+		// Adaptive methods try and reject steps of their own, which are not recorded
+		const methods = registry.all().filter(({ adaptive }) => !adaptive);
+		this.methodEl.replaceChildren(...methods.map(({ key, label }) => new Option(label, key)));
+		if (methods.some(({ key }) => key === chosen))
+			this.methodEl.value = chosen;
+	}
+
+	/**
+	 * Registers listeners to the builds of the main chart, which the steps are recomputed for, and to the controls
+	 */
+	_registerListeners() {
+		// Dispatched while the main chart is rebuilt, which then draws the step itself
+		eventManager.addEventListener('approximationsUpdated', (/** @type {CustomEvent} */ event) => {
+			this.build = event.detail;
+			this._trace();
+			this._show(false);
+		});
+		registry.addEventListener('change', () => {
+			this._showMethods();
+			this._trace();
+			this._show(true);
+		});
+		this.toggleEl.addEventListener('change', () => {
+			this._stop();
+			this._trace();
+			this._show(true);
+		});
+		this.methodEl.addEventListener('change', () => {
+			this.index = 0;
+			this._trace();
+			this._show(true);
+		});
+		this.previousEl.addEventListener('click', () => this.go(this.index - 1));
+		this.nextEl.addEventListener('click', () => this.go(this.index + 1));
+		this.playEl.addEventListener('click', () => this.togglePlay());
+	}
+}
+
+/**
+ * Describes the accuracy of a reference solution, for the labels of the charts
+ * @param {import('./models').Reference} reference
+ * @returns {string}
+ */
+function referenceAccuracy({ accuracy, converged, diagnostic }) {
+	if (diagnostic)
+		return `stopped at x = ${Number(diagnostic.x.toPrecision(4))}, accuracy unknown`;
+	const estimate = Number.isFinite(accuracy) ? accuracy.toExponential(1) : '?';
+	return converged ? `accurate to about ${estimate}` : `only accurate to about ${estimate}, short of the tolerance`;
+}
 
-		this.chart = new Chart(this.ctx, {
+/**
+ * What the errors of a chart are measured against, to add to its title
+ * @param {DifferentialFunction} funcs
+ * @returns {string} Nothing for the exact solution
+ */
+function comparedTo({ reference }) {
+	return reference ? ` vs reference (${referenceAccuracy(reference)})` : '';
+}
+
+/**
+ * Specific functionality common to Error graphs
+ * @abstract
+ */
+class ErrorChartController extends ChartController {
+	/**
+	 * Initializes local data
+	 * @param {HTMLCanvasElement} canvas Element to draw the chart on
+	 * @param {...any} args Included to allow subclasses to add any parameters needed
+	 */
+	constructor(canvas, ...args) {
+		super(canvas, ...args);
+
+		/** @type {Object<string, point[]>} The errors of each method, by its key */
+		this.errors = {};
+	}
+
+	/**
+	 * Clears the data and the chart, used when there is no exact solution to compare against
+	 */
+	clear() {
+		if (this.chart)
+			this.chart.destroy();
+		this.chart = null;
+		this.interaction.attach(null);
+		this.errors = {};
+	}
+
+	/**
+	 * Returns the data currently held in the object
+	 * @returns {Object<string, point[]>}
+	 */
+	getData() {
+		return { ...this.errors };
+	}
+
+	getSeries() {
+		return registry.visible()
+			.filter(({ key }) => this.errors[key])
+			.map(({ key, label }) => ({ label, data: this.errors[key] }));
+	}
+
+	/**
+	 * The datasets showing the errors of every method shown
+	 * @returns {Object[]}
+	 */
+	_datasets() {
+		return registry.visible()
+			.filter(({ key }) => this.errors[key])
+			.map(({ key, label, color }) => ({ data: this.errors[key], label, borderColor: color }));
+	}
+
+	/**
+	 * Registers listener to changes in approximation chart updates to update error
+	 */
+	_registerListeners() {
+		eventManager.addEventListener('approximationsUpdated', this.buildChart.bind(this));
+	}
+}
+
+/**
+ * Runs jobs in a Web Worker, or in chunks on the main thread where workers are not available,
+ * passing on the results of the latest job as they come
+ */
+class BackgroundRunner {
+	constructor() {
+		/** The id of the latest job, the results of the older ones are dropped */
+		this.id = 0;
+		/** @type {function(JobMessage): void} Receives the results of the latest job */
+		this.listener = null;
+		/** @type {Job} The latest job, kept to run it again on the main thread if the worker fails to start */
+		this.job = null;
+
+		const receive = (/** @type {JobMessage} */ message) => {
+			if (message.id !== this.id)
+				return;
+			// A job that is over is not run again if the worker fails afterwards
+			if (message.type !== 'progress')
+				this.job = null;
+			if (this.listener)
+				this.listener(message);
+		};
+		this.runInline = createRunner(receive);
+		/** @type {Worker} */
+		this.worker = null;
+		if (typeof Worker === 'undefined')
+			return;
+		try {
+			this.worker = new Worker('worker.js', { type: 'module' });
+		} catch (error) {
+			return;
+		}
+		this.worker.addEventListener('message', event => receive(event.data));
+		// Module workers are not supported everywhere, in which case the work is done on the main thread
+		this.worker.addEventListener('error', () => {
+			this.worker.terminate();
+			this.worker = null;
+			if (this.job)
+				this.runInline(this.job);
+		});
+	}
+
+	/**
+	 * Starts a job, cancelling the previous one
+	 * @param {Object} job The job, without its id
+	 * @param {function(JobMessage): void} listener Receives the results as they come
+	 */
+	run(job, listener) {
+		this.job = { ...job, id: ++this.id };
+		this.listener = listener;
+		if (this.worker && isTransferable(this.job.methods || []))
+			this.worker.postMessage(this.job);
+		else {
+			// Methods that cannot be sent to the worker are run here, after stopping the job of the worker
+			if (this.worker)
+				this.worker.postMessage({ type: 'cancel', id: this.id });
+			this.runInline(this.job);
+		}
+	}
+
+	/**
+	 * Stops the latest job, dropping the results still to come
+	 */
+	cancel() {
+		this.run({ type: 'cancel' }, null);
+		this.job = null;
+	}
+
+	/**
+	 * Stops the latest job and the worker, once the results are no longer wanted
+	 */
+	dispose() {
+		this.cancel();
+		if (this.worker)
+			this.worker.terminate();
+		this.worker = null;
+	}
+}
+
+/**
+ * Manages the chart for showing the global error.
+ * The errors are computed in the background and drawn as they come, since there are many runs to make
+ */
+export class GlobalError extends ErrorChartController {
+	/**
+	 * @param {HTMLCanvasElement} canvas Element to draw the chart on
+	 * @param {HTMLInputElement} [convergenceEl] Checkbox switching to the convergence analysis
+	 */
+	constructor(canvas, convergenceEl) {
+		// @ts-ignore
+		convergenceEl = convergenceEl || document.getElementById('convergence');
+		super(canvas, convergenceEl);
+		this.convergenceEl = convergenceEl;
+
+		/** @type {Object<string, ConvergenceResult>} The last convergence analysis of each method, by its key */
+		this.convergence = {};
+		/** @type {CustomEvent} The last update of the approximations, kept to redraw the chart when switching modes */
+		this.lastEvent = null;
+		this.runner = new BackgroundRunner();
+		/** @type {number} Pending rebuild, delayed so that typing does not start a computation for every key */
+		this.timeout = null;
+	}
+
+	/**
+	 * Updates the chart whenever the steps count gets updated, once the inputs stop changing
+	 * @param {Object} eventData Contains the updated configuration, along with the new function data
+	 */
+	buildChart(eventData) {
+		this.lastEvent = eventData;
+		clearTimeout(this.timeout);
+		this.timeout = setTimeout(() => {
+			if (this.convergenceEl.checked)
+				this._buildConvergence(eventData.detail);
+			else
+				this._buildGlobalError(eventData.detail);
+		}, 150);
+	}
+
+	clear() {
+		this.runner.cancel();
+		super.clear();
+	}
+
+	/**
+	 * The methods shown that take N steps, since the errors of the adaptive ones do not depend on N
+	 * @returns {import('./registry').RegisteredMethod[]}
+	 */
+	_fixedStepMethods() {
+		return registry.visible().filter(({ adaptive }) => !adaptive);
+	}
+
+	/**
+	 * The description of every method shown that takes N steps, to compute in the background
+	 * @returns {MethodDescription[]}
+	 */
+	_describeMethods() {
+		return this._fixedStepMethods().map(({ key, Method }) => describeMethod(key, Method));
+	}
+
+	/**
+	 * Draws the global error at X of every method against the number of steps
+	 * @param {{funcs: DifferentialFunction, config: Object}} data The current equation and configuration
+	 */
+	_buildGlobalError({ funcs, config }) {
+		if (!funcs.hasExact || !funcs.source)
+			return this.clear();
+		if (this.chart)
+			this.chart.destroy();
+
+		this.errors = {};
+		this._fixedStepMethods().forEach(({ key }) => this.errors[key] = []);
+
+		const chart = this._createChart({
 			type: 'line',
 			data: {
-				labels: domain,
-				datasets: [
-					{ data: this.eulerData, label: 'Euler', borderColor: 'aqua', },
-					{ data: this.improvedEulerData, label: 'Improved-Euler', borderColor: 'lime' },
-					{ data: this.rungeKuttaData, label: 'Runge-Kutta', borderColor: 'brown' },
-				],
+				datasets: this._datasets(),
 			},
 			options: {
 				title: {
-					text: 'Global error',
+					text: `Global error${comparedTo(funcs)}`,
 					display: true,
 				},
 				scales: {
 					xAxes: [{
+						id: 'x',
+						type: 'linear',
+						ticks: { precision: 0 },
 						scaleLabel: {
 							display: true,
 							labelString: 'N',
 						},
 					}],
 					yAxes: [{
+						id: 'y',
 						scaleLabel: {
 							display: true,
 							labelString: 'Last global error',
@@ -283,80 +1632,1070 @@ export class GlobalError extends ErrorChartController {
 					}],
 				},
 			},
+		}, 'N');
+
+		this.runner.run({ type: 'globalError', equation: funcs.source, methods: this._describeMethods(), config }, (message) => {
+			if (message.type === 'progress') {
+				for (const { N, errors } of message.rows)
+					for (const key of Object.keys(errors))
+						if (this.errors[key])
+							this.errors[key].push({ x: N, y: errors[key] });
+				chart.update();
+			} else if (message.type === 'done') {
+				eventManager.dispatchEvent(new CustomEvent('globalErrorUpdated', {
+					detail: this.getData(),
+				}));
+			} else {
+				chart.options.title.text = `Global error (${message.message})`;
+				chart.update();
+			}
+		});
+	}
+
+	/**
+	 * Draws the max-norm and endpoint global errors of every method over a sequence of halved step sizes on log-log axes,
+	 * along with the order fitted to them.
+	 * Without an exact solution, the errors are estimated by Richardson extrapolation
+	 * @param {{funcs: DifferentialFunction, config: Object}} data The current equation and configuration
+	 */
+	_buildConvergence({ funcs, config }) {
+		if (!funcs.source)
+			return this.clear();
+		if (this.chart)
+			this.chart.destroy();
+
+		const format = (/** @type {number} */ p) => Number.isFinite(p) ? p.toFixed(2) : '?';
+
+		this.errors = {};
+		this.convergence = {};
+		const shown = this._fixedStepMethods();
+		/** @type {Object[]} */
+		const datasets = [].concat(...shown.map(({ label, color }) => [{
+			data: [],
+			label: `${label}: computing...`,
+			borderColor: color,
+			fill: false,
+		}, {
+			data: [],
+			label: `${label} at X`,
+			borderColor: color,
+			borderDash: [4, 4],
+			fill: false,
+		}]));
+
+		const estimated = funcs.needsReference;
+		const chart = this._createChart({
+			type: 'line',
+			data: { datasets },
+			options: {
+				title: {
+					text: `Convergence${estimated ? ' (errors estimated by Richardson extrapolation)' : ''}: solid is the max-norm error, dashed is the error at X`,
+					display: true,
+				},
+				legend: {
+					// The endpoint errors share the colour of the max-norm ones, which carry the fitted orders
+					labels: { filter: (/** @type {{datasetIndex: number}} */ item) => item.datasetIndex % 2 === 0 },
+				},
+				scales: {
+					xAxes: [{
+						type: 'logarithmic',
+						scaleLabel: {
+							display: true,
+							labelString: 'Step size h',
+						},
+					}],
+					yAxes: [{
+						type: 'logarithmic',
+						scaleLabel: {
+							display: true,
+							labelString: estimated ? 'Estimated global error' : 'Global error',
+						},
+					}],
+				},
+			},
+		}, null);
+
+		this.runner.run({ type: 'convergence', equation: funcs.source, methods: this._describeMethods(), config }, (message) => {
+			if (message.type === 'progress') {
+				for (const [key, result] of Object.entries(message.results)) {
+					const index = shown.findIndex(method => method.key === key);
+					if (index < 0)
+						continue;
+					this.convergence[key] = result;
+					const { label, order: expected } = shown[index];
+					const points = (/** @type {number[]} */ errors) => result.h
+						.map((h, i) => ({ x: h, y: errors[i] }))
+						.filter(({ y }) => y > 0);
+					const { max, endpoint } = result.order;
+					Object.assign(datasets[2 * index], {
+						data: points(result.max),
+						label: `${label}: p ≈ ${format(max)} (max), ${format(endpoint)} (at X), expected ${format(expected)}`,
+					});
+					datasets[2 * index + 1].data = points(result.endpoint);
+				}
+				chart.update();
+			} else if (message.type === 'done') {
+				eventManager.dispatchEvent(new CustomEvent('convergenceUpdated', {
+					detail: { ...this.convergence },
+				}));
+			} else {
+				chart.options.title.text = `Convergence (${message.message})`;
+				shown.forEach(({ key, label }, index) => {
+					if (!this.convergence[key])
+						datasets[2 * index].label = `${label}: failed`;
+				});
+				chart.update();
+			}
+		});
+	}
+
+	getSeries() {
+		if (!this.convergenceEl.checked)
+			return super.getSeries();
+		// The errors are against the step size, one series for each kind of error
+		return [].concat(...registry.visible()
+			.filter(({ key }) => this.convergence[key])
+			.map(({ key, label }) => {
+				const { h, max, endpoint } = this.convergence[key];
+				return [
+					{ label: `${label} (max)`, data: h.map((x, i) => ({ x, y: max[i] })) },
+					{ label: `${label} (at X)`, data: h.map((x, i) => ({ x, y: endpoint[i] })) },
+				];
+			}));
+	}
+
+	/**
+	 * Registers listener to changes in approximation chart updates, and to switching to the convergence analysis
+	 * @param {HTMLInputElement} [convergenceEl] Checkbox switching to the convergence analysis
+	 */
+	_registerListeners(convergenceEl) {
+		super._registerListeners();
+		convergenceEl.addEventListener('change', () => {
+			if (this.lastEvent)
+				this.buildChart(this.lastEvent);
 		});
 	}
 }
 
 /**
- * Manages the chart for showing the local error
+ * Manages the chart for showing the local error: either the local truncation error, made by one step of each method
+ * from the exact solution, or the change of the global error from one point of the grid to the next,
+ * evaluating each approximation there so that methods computed at other points can be compared too
  */
 export class LocalError extends ErrorChartController {
+	/**
+	 * @param {HTMLCanvasElement} canvas Element to draw the chart on
+	 * @param {HTMLInputElement} [incrementsEl] Checkbox switching to the increments of the global error
+	 */
+	constructor(canvas, incrementsEl) {
+		// @ts-ignore
+		incrementsEl = incrementsEl || document.getElementById('local-increments');
+		super(canvas, incrementsEl);
+		this.incrementsEl = incrementsEl;
+
+		/** @type {Object<string, {max: number, rms: number}>} The largest and RMS errors of each method, by its key */
+		this.summaries = {};
+		/** @type {CustomEvent} The last update of the approximations, kept to redraw the chart when switching modes */
+		this.lastEvent = null;
+	}
+
 	/**
 	 * Updates the chart whenever the control variables get updated
 	 * @param {Object} eventData Contains the updated configuration, along with the new function data
 	 */
 	buildChart(eventData) {
+		this.lastEvent = eventData;
 		const data = eventData.detail;
+		/** @type {{funcs: DifferentialFunction, config: Object}} */
+		const { funcs, config } = data;
+		if (!funcs.hasExact)
+			return this.clear();
 		if (this.chart)
 			this.chart.destroy();
 
-		const { domain, euler, improvedEuler, rungeKutta, exact } = data;
-		const xLabels = domain.map(x => x.toFixed(5));
-
-		/**
-		 * Calculates the difference between the global error at the current and previous points to get the local error
-		 * @param {point} item
-		 * @param {number} index
-		 * @param {point[]} arr
-		 */
-		const diff = (item, index, arr) => {
-			if (index === 0)
-				return { x: 0, y: 0 };
-			if (index >= exact.length)
-				return {};
-			const curGlobal = exact[index].y - item.y;
-			const prevGlobal = exact[index - 1].y - arr[index - 1].y;
-			return { x: item.x, y: curGlobal - prevGlobal };
-		};
-
-		this.eulerData = euler.map(diff);
-		this.improvedEulerData = improvedEuler.map(diff);
-		this.rungeKuttaData = rungeKutta.map(diff);
+		const increments = this.incrementsEl.checked;
+		this.errors = {};
+		this.summaries = {};
+		if (increments) {
+			// Every approximation is evaluated on the grid of the exact solution, including those of adaptive methods
+			for (const { key } of registry.visible())
+				if (data[key])
+					this.errors[key] = localErrors(data.exact, data[key]);
+		} else {
+			const { data: exact } = funcs.tabulateExact(stepGrid(config.x0, config.X, config.N));
+			const df = funcs.derivative.bind(funcs);
+			for (const { key, Method } of registry.visible())
+				this.errors[key] = truncationErrors(new Method(df, { ...config, jacobian: funcs.jacobian }), exact);
+		}
+		for (const key of Object.keys(this.errors))
+			this.summaries[key] = summarize(this.errors[key]);
 
 		eventManager.dispatchEvent(new CustomEvent('localErrorUpdated', {
 			detail: this.getData(),
 		}));
 
-		this.chart = new Chart(this.ctx, {
+		const title = (increments ? 'Local error (increments of the global error)' : 'Local truncation error') + comparedTo(funcs);
+		const format = (/** @type {number} */ value) => Number.isFinite(value) ? value.toExponential(2) : '-';
+		const datasets = registry.visible()
+			.filter(({ key }) => this.errors[key])
+			.map(({ key, label, color }) => ({
+				data: this.errors[key],
+				label: `${label} (max ${format(this.summaries[key].max)}, RMS ${format(this.summaries[key].rms)})`,
+				borderColor: color,
+			}));
+		this._createChart({
 			type: 'line',
-			data: {
-				labels: xLabels,
-				datasets: [
-					{ data: this.eulerData, label: 'Euler', borderColor: 'aqua', },
-					{ data: this.improvedEulerData, label: 'Improved-Euler', borderColor: 'lime' },
-					{ data: this.rungeKuttaData, label: 'Runge-Kutta', borderColor: 'brown' },
-				],
-			},
+			data: { datasets },
 			options: {
 				title: {
-					text: 'Local error',
+					text: title,
 					display: true,
 				},
 				scales: {
 					xAxes: [{
+						id: 'x',
+						type: 'linear',
 						scaleLabel: {
 							display: true,
 							labelString: 'x',
 						},
 					}],
 					yAxes: [{
+						id: 'y',
 						scaleLabel: {
 							display: true,
-							labelString: 'Local error',
+							labelString: increments ? 'Change of the global error' : 'Error of one step from the exact solution',
 						},
 					}],
 				},
 			},
+		}, 'x');
+	}
+
+	/**
+	 * Registers listener to changes in approximation chart updates, and to switching between the kinds of local error
+	 * @param {HTMLInputElement} [incrementsEl] Checkbox switching to the increments of the global error
+	 */
+	_registerListeners(incrementsEl) {
+		super._registerListeners();
+		incrementsEl.addEventListener('change', () => {
+			if (this.lastEvent)
+				this.buildChart(this.lastEvent);
+		});
+	}
+}
+
+/** The quantities a sweep can show, by the value of their option */
+const sweepQuantities = {
+	endpoint: 'Global error at X',
+	max: 'Largest global error',
+	runtime: 'Runtime (ms)',
+};
+
+/** The most runs a sweep makes for each method, so that it finishes in a reasonable time */
+const maxCombinations = 2500;
+
+/**
+ * The name of a parameter of a sweep on the charts
+ * @param {string} name An input of the methods, or a number written in the equation
+ * @returns {string}
+ */
+function parameterLabel(name) {
+	return sweepInputs.includes(name) ? name : `number ${name} of the equation`;
+}
+
+/**
+ * The colour of a cell of the heatmap, from blue for the smallest values to red for the largest
+ * @param {number} t The position of its value between the smallest and the largest, from 0 to 1
+ * @returns {string}
+ */
+function heatColor(t) {
+	return `hsl(${Math.round(240 * (1 - t))}, 75%, 55%)`;
+}
+
+/**
+ * The pixels the cells centred at some pixels extend between, each reaching halfway to its neighbours
+ * @param {number[]} centres The centres of the cells, in order
+ * @returns {number[]} The edges, one more than the cells
+ */
+function cellEdges(centres) {
+	const n = centres.length;
+	if (n === 1)
+		return [centres[0] - 20, centres[0] + 20];
+	return [
+		centres[0] - (centres[1] - centres[0]) / 2,
+		...centres.slice(1).map((centre, i) => (centres[i] + centre) / 2),
+		centres[n - 1] + (centres[n - 1] - centres[n - 2]) / 2,
+	];
+}
+
+/**
+ * Chart.js plugin drawing a heatmap behind the datasets: a cell for every combination of the values on the axes,
+ * coloured by the logarithm of its value. Its options (`options.plugins.heatmap`) give the values on each axis
+ * and the value of each cell, by row (y) then column (x)
+ */
+const heatmapPlugin = {
+	id: 'heatmap',
+
+	/**
+	 * @param {Object} chart The Chart.js chart
+	 * @param {number} easing The progress of the animation
+	 * @param {{xs: number[], ys: number[], values: Array<Array<?number>>, min: number, max: number}} options
+	 */
+	beforeDatasetsDraw(chart, easing, options) {
+		if (!options || !options.values)
+			return;
+		const { ctx, chartArea: area } = chart;
+		const { x: xScale, parameter: yScale } = chart.scales;
+		const columns = cellEdges(options.xs.map(x => xScale.getPixelForValue(x)));
+		const rows = cellEdges(options.ys.map(y => yScale.getPixelForValue(y)));
+		const low = Math.log(options.min), range = Math.log(options.max) - low;
+
+		ctx.save();
+		ctx.beginPath();
+		ctx.rect(area.left, area.top, area.right - area.left, area.bottom - area.top);
+		ctx.clip();
+		options.values.forEach((row, j) => row.forEach((value, i) => {
+			// Values of 0 (such as runtimes below the resolution of the clock) get the colour of the smallest
+			ctx.fillStyle = value === null || !Number.isFinite(value) ? 'rgba(0, 0, 0, 0.08)'
+				: heatColor(range > 0 ? (Math.log(Math.max(value, options.min)) - low) / range : 0.5);
+			ctx.fillRect(columns[i], rows[j], columns[i + 1] - columns[i], rows[j + 1] - rows[j]);
+		}));
+		ctx.restore();
+	},
+};
+
+/**
+ * Manages the sweep of one or two parameters: the initial values, the domain, the number of steps or a number written
+ * in the equation. Every method is run at every combination of their values, in the background, and the errors
+ * or the runtimes are shown against one parameter as lines, or against two as a heatmap of the chosen method
+ */
+export class ParameterSweep extends ChartController {
+	/**
+	 * @param {HTMLCanvasElement} canvas Element to draw the chart on
+	 * @param {Object} [elements] The controls of the sweep
+	 * @param {Array<Object<string, HTMLElement>>} [elements.rangeEls] The parameter, first and last values and count of each range
+	 * @param {HTMLSelectElement} [elements.quantityEl] The quantity shown
+	 * @param {HTMLSelectElement} [elements.methodEl] The method shown on the heatmap
+	 * @param {HTMLButtonElement} [elements.runEl] Starts the sweep
+	 * @param {HTMLElement} [elements.errorEl] Shows what is wrong with the ranges
+	 */
+	constructor(canvas, { rangeEls, quantityEl, methodEl, runEl, errorEl } = {}) {
+		/** @type {Array<{parameterEl: HTMLSelectElement, fromEl: HTMLInputElement, toEl: HTMLInputElement, countEl: HTMLInputElement}>} */
+		// @ts-ignore
+		const ranges = rangeEls || [1, 2].map(i => ({
+			parameterEl: document.getElementById(`sweep-parameter-${i}`),
+			fromEl: document.getElementById(`sweep-from-${i}`),
+			toEl: document.getElementById(`sweep-to-${i}`),
+			countEl: document.getElementById(`sweep-count-${i}`),
+		}));
+		const elements = {
+			rangeEls: ranges,
+			/** @type {HTMLSelectElement} */
+			// @ts-ignore
+			quantityEl: quantityEl || document.getElementById('sweep-quantity'),
+			/** @type {HTMLSelectElement} */
+			// @ts-ignore
+			methodEl: methodEl || document.getElementById('sweep-method'),
+			/** @type {HTMLButtonElement} */
+			// @ts-ignore
+			runEl: runEl || document.getElementById('sweep-run'),
+			errorEl: errorEl || document.getElementById('sweep-error'),
+		};
+		super(canvas, elements);
+		this.rangeEls = elements.rangeEls;
+		this.quantityEl = elements.quantityEl;
+		this.methodEl = elements.methodEl;
+		this.runEl = elements.runEl;
+		this.errorEl = elements.errorEl;
+
+		/** @type {{funcs: DifferentialFunction, config: Object}} The equation and configuration of the last build of the main chart */
+		this.build = null;
+		/** @type {import('./analysis').SweepRange[]} The parameters of the last sweep */
+		this.ranges = [];
+		/** @type {Array<{key: string, label: string, color: string}>} The methods of the last sweep */
+		this.methods = [];
+		/** @type {Array<{values: number[], measures: Object<string, import('./analysis').RunMeasures>}>} The results so far */
+		this.points = [];
+		/** Whether the last sweep compares against reference solutions, for lack of an exact one */
+		this.estimated = false;
+		/** @type {?string} What stopped the last sweep */
+		this.failure = null;
+		this.runner = new BackgroundRunner();
+	}
+
+	/**
+	 * Reads the ranges of the parameters from the inputs, showing what is wrong with them if anything is
+	 * @returns {?import('./analysis').SweepRange[]} The ranges, or `null` if they are not valid
+	 */
+	_readRanges() {
+		/** @type {import('./analysis').SweepRange[]} */
+		const ranges = [];
+		for (const { parameterEl, fromEl, toEl, countEl } of this.rangeEls) {
+			if (!parameterEl.value)
+				continue;
+			const range = { name: parameterEl.value, from: Number(fromEl.value), to: Number(toEl.value), count: Number(countEl.value) };
+			const label = parameterLabel(range.name);
+			if (fromEl.value === '' || toEl.value === '' || !Number.isFinite(range.from) || !Number.isFinite(range.to))
+				this.errorEl.textContent = `The range of ${label} must be two numbers`;
+			else if (!Number.isInteger(range.count) || range.count < 1)
+				this.errorEl.textContent = `The number of values of ${label} must be a positive whole number`;
+			else if (ranges.some(({ name }) => name === range.name))
+				this.errorEl.textContent = `Both parameters are ${label}`;
+			else if (range.name === 'N' && Math.min(range.from, range.to) < 0.5)
+				this.errorEl.textContent = 'N must be at least 1';
+			else {
+				ranges.push(range);
+				continue;
+			}
+			return null;
+		}
+		if (!ranges.length) {
+			this.errorEl.textContent = 'Choose a parameter to sweep';
+			return null;
+		}
+		if (sweepCombinations(ranges).length > maxCombinations) {
+			this.errorEl.textContent = `At most ${maxCombinations} combinations of values can be swept`;
+			return null;
+		}
+		this.errorEl.textContent = '';
+		return ranges;
+	}
+
+	/**
+	 * Runs every method shown at every combination of the values of the parameters, drawing the results as they come
+	 */
+	run() {
+		if (!this.build || !this.build.funcs.source) {
+			this.errorEl.textContent = 'The equation is not valid';
+			return;
+		}
+		const ranges = this._readRanges();
+		if (!ranges)
+			return;
+		const { funcs, config } = this.build;
+		this.ranges = ranges;
+		this.methods = registry.visible().map(({ key, label, color }) => ({ key, label, color }));
+		this.points = [];
+		// The exact solution is left out where numbers of the equation are changed
+		this.estimated = funcs.needsReference || ranges.some(({ name }) => !sweepInputs.includes(name));
+		this.failure = null;
+		const chosen = this.methodEl.value;
+		this.methodEl.replaceChildren(...this.methods.map(({ key, label }) => new Option(label, key)));
+		if (this.methods.some(({ key }) => key === chosen))
+			this.methodEl.value = chosen;
+		this.methodEl.disabled = ranges.length < 2;
+		this.buildChart();
+
+		const methods = registry.visible().map(({ key, Method }) => describeMethod(key, Method));
+		this.runner.run({ type: 'sweep', equation: funcs.source, methods, config, ranges }, (message) => {
+			if (message.type === 'progress') {
+				this.points.push(...message.points);
+				this._update();
+			} else if (message.type === 'error') {
+				this.failure = message.message;
+				this._update();
+			}
+		});
+	}
+
+	/**
+	 * Draws the results of the last sweep: lines against the parameter, or a heatmap against both
+	 */
+	buildChart() {
+		if (this.chart)
+			this.chart.destroy();
+		const [first, second] = this.ranges;
+		const axis = (/** @type {string} */ id, /** @type {import('./analysis').SweepRange} */ range) => ({
+			id,
+			type: 'linear',
+			ticks: range.name === 'N' ? { precision: 0 } : {},
+			scaleLabel: {
+				display: true,
+				labelString: parameterLabel(range.name),
+			},
+		});
+		this._createChart({
+			type: 'line',
+			data: { datasets: [] },
+			plugins: second ? [heatmapPlugin] : [],
+			options: {
+				title: { display: true, text: '' },
+				animation: { duration: 0 },
+				scales: {
+					xAxes: [axis('x', first)],
+					yAxes: [second ? axis('parameter', second) : {
+						id: 'y',
+						scaleLabel: {
+							display: true,
+							labelString: sweepQuantities[/** @type {keyof sweepQuantities} */ (this.quantityEl.value)],
+						},
+					}],
+				},
+				plugins: { heatmap: {} },
+			},
+		}, null);
+		this._update();
+	}
+
+	/**
+	 * Shows the results so far on the chart, in the quantity chosen
+	 */
+	_update() {
+		const chart = this.chart;
+		if (!chart)
+			return;
+		const quantity = /** @type {keyof sweepQuantities} */ (this.quantityEl.value);
+		const against = this.estimated && quantity !== 'runtime' ? ` vs reference solutions${this._referenceNote()}` : '';
+		const names = this.ranges.map(({ name }) => parameterLabel(name)).join(' and ');
+		let title = `${sweepQuantities[quantity]}${against} against ${names}`;
+		if (this.ranges.length === 1) {
+			chart.data.datasets = this.methods.map(({ key, label, color }) => ({
+				data: this.points.map(({ values, measures }) => ({ x: values[0], y: measures[key] ? measures[key][quantity] : null })),
+				label,
+				borderColor: color,
+			}));
+		} else {
+			const method = this.methods.find(({ key }) => key === this.methodEl.value) || this.methods[0];
+			const [xs, ys] = this.ranges.map(sweepValues);
+			/** @type {Array<Array<?number>>} */
+			const values = ys.map(() => xs.map(() => null));
+			for (const { values: [x, y], measures } of this.points)
+				if (measures[method.key])
+					values[ys.indexOf(y)][xs.indexOf(x)] = measures[method.key][quantity];
+			const shown = [].concat(...values).filter(value => value > 0);
+			const min = Math.min(...shown), max = Math.max(...shown);
+			chart.options.plugins.heatmap = { xs, ys, values, min: shown.length ? min : 1, max: shown.length ? max : 1 };
+			chart.data.datasets = [{
+				data: this.points.map(({ values: [x, y] }) => ({ x, y })),
+				label: method.label,
+				borderColor: method.color,
+				backgroundColor: method.color,
+				showLine: false,
+				pointRadius: 0,
+				yAxisID: 'parameter',
+			}];
+			title = `${method.label}: ${title}`;
+			if (shown.length)
+				title += ` (from ${min.toExponential(1)} in blue to ${max.toExponential(1)} in red)`;
+		}
+		if (this.failure)
+			title += ` (${this.failure})`;
+		chart.options.title.text = title;
+		chart.update();
+	}
+
+	/**
+	 * How accurate the reference solutions of the combinations computed so far are, at worst
+	 * @returns {string} To add to the title, or an empty string if there are none yet
+	 */
+	_referenceNote() {
+		// The methods of a combination are all measured against the same reference
+		const references = this.points
+			.map(({ measures }) => Object.values(measures).map(({ reference }) => reference)[0])
+			.filter(reference => reference);
+		if (!references.length)
+			return '';
+		const accuracies = references.map(({ accuracy }) => accuracy).filter(Number.isFinite);
+		const notes = [];
+		if (accuracies.length)
+			notes.push(`accurate to about ${Math.max(...accuracies).toExponential(1)} at worst`);
+		const short = references.filter(({ converged }) => !converged).length;
+		if (short)
+			notes.push(`${short} of ${references.length} short of the tolerance`);
+		return notes.length ? ` (${notes.join(', ')})` : '';
+	}
+
+	getSeries() {
+		const quantity = /** @type {keyof sweepQuantities} */ (this.quantityEl.value);
+		const [first, second] = this.ranges;
+		const measure = (/** @type {{values: number[], measures: Object<string, import('./analysis').RunMeasures>}} */ { values, measures },
+			/** @type {string} */ key) => ({ x: values[0], y: measures[key] ? measures[key][quantity] : null });
+		if (!second)
+			return this.methods.map(({ key, label }) => ({ label, data: this.points.map(point => measure(point, key)) }));
+		// The whole grid, one series for each method and value of the second parameter
+		return [].concat(...this.methods.map(({ key, label }) => sweepValues(second).map(value => ({
+			label: `${label}, ${parameterLabel(second.name)} = ${value}`,
+			data: this.points.filter(({ values }) => values[1] === value).map(point => measure(point, key)),
+		}))));
+	}
+
+	/**
+	 * Lists the parameters that can be swept: the inputs of the methods and the numbers written in the derivative
+	 * @param {Expressions} expressions The equation
+	 */
+	_showParameters({ derivative }) {
+		const options = [...sweepInputs, ...equationNumbers(derivative).map(String)];
+		this.rangeEls.forEach((range, i) => {
+			const { parameterEl } = range;
+			const chosen = parameterEl.value;
+			parameterEl.replaceChildren(
+				...(i ? [new Option('none', '')] : []),
+				...options.map(name => new Option(parameterLabel(name), name)));
+			// The first parameter is the number of steps until another is chosen, the second is none
+			parameterEl.value = options.includes(chosen) ? chosen : i ? '' : 'N';
+			if (parameterEl.value !== chosen)
+				this._suggestRange(range);
+		});
+	}
+
+	/**
+	 * Fills in a range around the current value of the parameter chosen
+	 * @param {{parameterEl: HTMLSelectElement, fromEl: HTMLInputElement, toEl: HTMLInputElement}} range
+	 */
+	_suggestRange({ parameterEl, fromEl, toEl }) {
+		const name = parameterEl.value;
+		if (!name || !this.build)
+			return;
+		const value = sweepInputs.includes(name) ? components(this.build.config[name])[0] : Number(name);
+		const [from, to] = name === 'N' ? [value, 10 * value] : value ? [value / 2, 2 * value] : [0, 1];
+		fromEl.value = String(from);
+		toEl.value = String(to);
+	}
+
+	/**
+	 * Registers listeners to the builds of the main chart, whose equation and configuration are swept, and to the controls
+	 * @param {Object} elements The controls, as passed to the constructor
+	 */
+	_registerListeners({ rangeEls, quantityEl, methodEl, runEl }) {
+		eventManager.addEventListener('approximationsUpdated', (/** @type {CustomEvent} */ event) => {
+			this.build = event.detail;
+			if (this.build.funcs.source)
+				this._showParameters(this.build.funcs.source);
+		});
+		for (const range of rangeEls)
+			range.parameterEl.addEventListener('change', () => this._suggestRange(range));
+		quantityEl.addEventListener('change', () => {
+			// The axis of the quantity is labelled when the chart is made
+			if (this.chart)
+				this.buildChart();
+		});
+		methodEl.addEventListener('change', () => this._update());
+		runEl.addEventListener('click', () => this.run());
+	}
+}
+
+/**
+ * Starts downloading a file
+ * @param {string} filename The suggested name of the file
+ * @param {string} url The address of the content, usually a data or object URL
+ */
+function download(filename, url) {
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+}
+
+/**
+ * Manages the buttons exporting the data and the images of the charts, and the input importing an export back
+ */
+export class DataExchange {
+	/**
+	 * @param {EquationInput} equation The input of the equation, whose text is exported and restored
+	 * @param {SolutionGraph} graph The main chart, whose inputs are exported and restored
+	 * @param {Object<string, ChartController>} charts The charts, by the value of the `data-chart` attribute of their buttons
+	 * @param {Object<string, HTMLElement>} [elements] The file input to import from and the element to show its errors in
+	 */
+	constructor(equation, graph, charts, { importEl, importErrorEl } = {}) {
+		this.equation = equation;
+		this.graph = graph;
+		this.charts = charts;
+		/** @type {HTMLInputElement} */
+		// @ts-ignore
+		this.importEl = importEl || document.getElementById('import');
+		this.importErrorEl = importErrorEl || document.getElementById('import-error');
+		this._registerListeners();
+	}
+
+	/**
+	 * Downloads the data of a chart, or its image
+	 * @param {string} name The name of the chart, used as the name of the file
+	 * @param {'csv'|'json'|'png'} format
+	 */
+	export(name, format) {
+		const chart = this.charts[name];
+		if (format === 'png') {
+			if (chart.chart)
+				download(`${name}.png`, chart.chart.toBase64Image());
+			return;
+		}
+		// Nothing has been computed until the inputs are first valid
+		if (!this.graph.config)
+			return;
+		const { x0, y0, X, N, h, atol } = this.graph.config;
+		const config = { x0, y0, X, N, h, tol: atol };
+		const title = chart.chart ? chart.chart.options.title.text : name;
+		const content = format === 'csv'
+			? toCSV(title, chart.getSeries(), config, this.equation.getExpressions())
+			: toJSON(title, chart.getSeries(), config, this.equation.getExpressions());
+		const url = URL.createObjectURL(new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' }));
+		download(`${name}.${format}`, url);
+		// Some browsers only start reading the file after the click has been handled, and cancel it if it is gone by then
+		setTimeout(() => URL.revokeObjectURL(url), 1000);
+	}
+
+	/**
+	 * Restores the equation and the inputs from an exported JSON file, showing the problem if it is not valid
+	 * @param {string} text The content of the file
+	 */
+	import(text) {
+		this.importErrorEl.textContent = '';
+		try {
+			const { config, equation } = fromJSON(text);
+			this.equation.setExpressions(equation);
+			const { x0, y0, X, N, tol } = config;
+			this.graph.setValues({ x0, y0, X, N, tol });
+		} catch (error) {
+			this.importErrorEl.textContent = error.message;
+		}
+	}
+
+	/**
+	 * Registers listeners to the export buttons of every chart and to choosing a file to import
+	 */
+	_registerListeners() {
+		for (const container of Array.from(document.querySelectorAll('.export[data-chart]'))) {
+			const name = container.getAttribute('data-chart');
+			container.addEventListener('click', (event) => {
+				const button = /** @type {HTMLElement} */ (event.target).closest('button[data-format]');
+				if (button && this.charts[name])
+					// @ts-ignore
+					this.export(name, button.getAttribute('data-format'));
+			});
+		}
+		this.importEl.addEventListener('change', () => {
+			const [file] = Array.from(this.importEl.files);
+			if (!file)
+				return;
+			const reader = new FileReader();
+			reader.addEventListener('load', () => this.import(String(reader.result)));
+			reader.readAsText(file);
+			// Allows importing the same file again
+			this.importEl.value = '';
+		});
+	}
+}
+
+/**
+ * Keeps the state of the workspace in the URL, so that it can be shared and navigated with back and forward,
+ * and manages the sessions saved under a name in the local storage
+ */
+export class SessionManager {
+	/**
+	 * @param {{equation: EquationInput, tableau: TableauInput, events: EventInput, graph: SolutionGraph, globalError: GlobalError, localError: LocalError}} parts
+	 *   The inputs and charts making up the workspace
+	 * @param {Object<string, HTMLElement>} [elements] The input of the name of a session, the list of sessions and their buttons
+	 */
+	constructor({ equation, tableau, events, graph, globalError, localError }, { nameEl, listEl, saveEl, deleteEl } = {}) {
+		this.equation = equation;
+		this.tableau = tableau;
+		this.events = events;
+		this.graph = graph;
+		this.globalError = globalError;
+		this.localError = localError;
+		/** @type {HTMLInputElement} */
+		// @ts-ignore
+		this.nameEl = nameEl || document.getElementById('session-name');
+		/** @type {HTMLSelectElement} */
+		// @ts-ignore
+		this.listEl = listEl || document.getElementById('sessions');
+		this.saveEl = saveEl || document.getElementById('session-save');
+		this.deleteEl = deleteEl || document.getElementById('session-delete');
+
+		/** Whether a workspace is being restored, in which case the charts updating are not new entries of the history */
+		this.restoring = false;
+		/** @type {number} Pending update of the URL, delayed so that typing makes a single entry */
+		this.timeout = null;
+
+		this._showSessions();
+		this._registerListeners();
+	}
+
+	/**
+	 * Gathers the current state of the workspace
+	 * @returns {Workspace}
+	 */
+	getState() {
+		const { x0, y0, X, N, tol } = this.graph.vars;
+		return {
+			equation: this.equation.getExpressions(),
+			values: { x0: x0.val, y0: y0.val, X: X.val, N: N.val, tol: tol.val },
+			options: {
+				phase: this.graph.phaseEl.checked,
+				convergence: this.globalError.convergenceEl.checked,
+				increments: this.localError.incrementsEl.checked,
+				field: this.graph.overlay.field.checked,
+				isoclines: this.graph.overlay.isoclines.checked,
+			},
+			tableau: this.tableau.tableauEl.value,
+			hidden: registry.hidden(),
+			events: this.events.getEvents(),
+		};
+	}
+
+	/**
+	 * Puts the workspace back in the given state, rebuilding the charts
+	 * @param {Workspace} state
+	 */
+	restore({ equation, values, options, tableau, hidden, events }) {
+		this.restoring = true;
+		try {
+			const current = this.equation.getExpressions();
+			if (equation.derivative !== current.derivative || equation.exact !== current.exact || equation.order !== current.order)
+				this.equation.setExpressions(equation);
+			this.tableau.setText(tableau);
+			registry.setHidden(hidden || []);
+			this.events.setEvents(events || []);
+			this.graph.phaseEl.checked = options.phase;
+			this.graph.overlay.field.checked = Boolean(options.field);
+			this.graph.overlay.isoclines.checked = Boolean(options.isoclines);
+			this.globalError.convergenceEl.checked = options.convergence;
+			this.localError.incrementsEl.checked = Boolean(options.increments);
+			this.graph.setValues(values);
+		} finally {
+			this.restoring = false;
+		}
+	}
+
+	/**
+	 * Restores the workspace described by the URL, if it describes one
+	 * @returns {boolean} Whether the workspace was restored
+	 */
+	restoreFromURL() {
+		const state = decodeState(location.hash);
+		if (state)
+			this.restore(state);
+		return Boolean(state);
+	}
+
+	/**
+	 * Writes the current state in the URL, as a new entry of the history unless it is the first one
+	 */
+	_record() {
+		const hash = `#${encodeState(this.getState())}`;
+		if (hash === location.hash)
+			return;
+		if (location.hash)
+			history.pushState(null, '', hash);
+		else
+			history.replaceState(null, '', hash);
+	}
+
+	/**
+	 * Fills the list of saved sessions
+	 */
+	_showSessions() {
+		const options = listSessions().map(name => new Option(name, name));
+		this.listEl.replaceChildren(new Option('Load a saved session...', ''), ...options);
+	}
+
+	/**
+	 * Registers listeners to the charts updating, to navigation through the history and to the session controls
+	 */
+	_registerListeners() {
+		const schedule = () => {
+			if (this.restoring)
+				return;
+			clearTimeout(this.timeout);
+			this.timeout = setTimeout(() => this._record(), 500);
+		};
+		eventManager.addEventListener('approximationsUpdated', schedule);
+		// Switching the analysis or the kind of local error only redraws that chart, so it does not update the approximations
+		this.globalError.convergenceEl.addEventListener('change', schedule);
+		this.localError.incrementsEl.addEventListener('change', schedule);
+		registry.addEventListener('change', schedule);
+		window.addEventListener('popstate', () => {
+			clearTimeout(this.timeout);
+			this.restoreFromURL();
+		});
+
+		this.saveEl.addEventListener('click', () => {
+			const name = this.nameEl.value.trim();
+			if (!name)
+				return;
+			saveSession(name, this.getState());
+			this._showSessions();
+			this.listEl.value = name;
+		});
+		this.listEl.addEventListener('change', () => {
+			const state = loadSession(this.listEl.value);
+			if (!state)
+				return;
+			this.nameEl.value = this.listEl.value;
+			this.restore(state);
+			this._record();
+		});
+		this.deleteEl.addEventListener('click', () => {
+			deleteSession(this.listEl.value);
+			this._showSessions();
+		});
+	}
+}
+
+/** How many panels were opened, to give the elements of each one their own ids */
+let panelCount = 0;
+
+/**
+ * A test problem opened next to the main one, with its own equation, initial value and solution chart.
+ * Its elements are copied from a template, and its parts update each other through a channel of their own
+ */
+export class ProblemPanel {
+	/**
+	 * @param {string} key The key of the preset to start from
+	 * @param {Object<string, HTMLElement>} [elements] The element to add the panel to and the template of the panels
+	 */
+	constructor(key, { containerEl, templateEl } = {}) {
+		/** @type {HTMLTemplateElement} */
+		// @ts-ignore
+		const template = templateEl || document.getElementById('panel-template');
+		/** @type {HTMLElement} */
+		// @ts-ignore
+		this.el = template.content.firstElementChild.cloneNode(true);
+		/** @type {function(string): any} */
+		const part = (name) => this.el.querySelector(`[data-part="${name}"]`);
+
+		// The controls of the chart are found from the id of its canvas
+		/** @type {HTMLCanvasElement} */
+		const canvas = part('graph');
+		canvas.id = `panel-${++panelCount}-graph`;
+		for (const name of ['scale', 'reset', 'readout'])
+			part(name).id = `${canvas.id}-${name}`;
+		(containerEl || document.getElementById('panels')).appendChild(this.el);
+
+		/** @type {HTMLSelectElement} */
+		this.presetEl = part('preset');
+		for (const [key, { name }] of Object.entries(presets))
+			this.presetEl.add(new Option(name, key));
+		/** @type {HTMLElement} */
+		this.descriptionEl = part('description');
+
+		const channel = new EventTarget();
+		const { equation, values, description } = presets[key];
+		this.equation = new EquationInput(equation, {
+			derivativeEl: part('derivative'),
+			exactEl: part('exact'),
+			derivativeErrorEl: part('derivative-error'),
+			exactErrorEl: part('exact-error'),
+			orderEl: part('order'),
+		}, channel);
+		this.graph = new SolutionGraph(canvas, this.equation.funcs, values, {
+			x0El: part('x0'),
+			y0El: part('y0'),
+			XEl: part('X'),
+			hEl: part('N'),
+			tolEl: part('tol'),
+			y0ErrorEl: part('y0-error'),
+			phaseEl: part('phase'),
+			statsEl: part('evaluations'),
+			warningsEl: part('warnings'),
+			eventListEl: part('event-list'),
+			fieldEl: part('slope-field'),
+			isoclinesEl: part('isoclines'),
+			densityEl: part('field-density'),
+			trajectoryMethodEl: part('trajectory-method'),
+			clearTrajectoriesEl: part('clear-trajectories'),
+		}, channel);
+		this.presetEl.value = key;
+		this.descriptionEl.textContent = description;
+		this._registerListeners(part('close'));
+		this.graph.buildChart();
+	}
+
+	/**
+	 * Replaces the problem of the panel by a preset
+	 * @param {string} key The key of the preset
+	 */
+	load(key) {
+		const { equation, values, description } = presets[key];
+		this.presetEl.value = key;
+		this.descriptionEl.textContent = description;
+		// The chart is built once, with the values of the preset, when its equation comes in
+		this.graph.setValues(values, false);
+		this.equation.setExpressions(equation);
+	}
+
+	/**
+	 * Removes the panel from the page
+	 */
+	close() {
+		this.graph.dispose();
+		this.el.remove();
+	}
+
+	/**
+	 * Registers listeners to the choice of the preset and to the button closing the panel
+	 * @param {HTMLElement} closeEl
+	 */
+	_registerListeners(closeEl) {
+		this.presetEl.addEventListener('change', () => this.load(this.presetEl.value));
+		closeEl.addEventListener('click', () => this.close());
+	}
+}
+
+/**
+ * Manages the library of test problems: loading one into the main inputs, or opening it in a panel of its own
+ */
+export class PresetLibrary {
+	/**
+	 * @param {EquationInput} equation The input of the main equation
+	 * @param {SolutionGraph} graph The main chart, whose initial value and domain are replaced
+	 * @param {Object<string, HTMLElement>} [elements] The select of the problems, the button opening a panel and the element describing the problem
+	 */
+	constructor(equation, graph, { libraryEl, openEl, descriptionEl } = {}) {
+		this.equation = equation;
+		this.graph = graph;
+		/** @type {HTMLSelectElement} */
+		// @ts-ignore
+		this.libraryEl = libraryEl || document.getElementById('preset-library');
+		/** @type {HTMLButtonElement} */
+		// @ts-ignore
+		this.openEl = openEl || document.getElementById('open-panel');
+		this.descriptionEl = descriptionEl || document.getElementById('preset-description');
+
+		this.libraryEl.add(new Option('Choose a test problem...', ''));
+		for (const [key, { name }] of Object.entries(presets))
+			this.libraryEl.add(new Option(name, key));
+		this.openEl.disabled = true;
+		this._registerListeners();
+	}
+
+	/**
+	 * Replaces the main equation, initial value and domain by those of a preset
+	 * @param {string} key The key of the preset
+	 */
+	load(key) {
+		const { equation, values } = presets[key];
+		// The chart is built once, with the values of the preset, when its equation comes in
+		this.graph.setValues(values, false);
+		this.equation.setExpressions(equation);
+	}
+
+	/**
+	 * Opens a preset in a new panel
+	 * @param {string} key The key of the preset
+	 * @returns {ProblemPanel}
+	 */
+	open(key) {
+		return new ProblemPanel(key);
+	}
+
+	/**
+	 * Registers listeners to the choice of a problem, which is loaded, and to the button opening it in a panel
+	 */
+	_registerListeners() {
+		this.libraryEl.addEventListener('change', () => {
+			const key = this.libraryEl.value;
+			this.openEl.disabled = !presets[key];
+			this.descriptionEl.textContent = presets[key] ? presets[key].description : '';
+			if (presets[key])
+				this.load(key);
+		});
+		this.openEl.addEventListener('click', () => {
+			if (presets[this.libraryEl.value])
+				this.open(this.libraryEl.value);
 		});
 	}
 }
@@ -0,0 +1,128 @@
+/**
+ * @file The direction field and the isoclines of a scalar equation y' = f(x, y) over a rectangle,
+ * independent of the chart they are drawn on
+ */
+
+/**
+ * A point of the direction field
+ * @typedef {Object} FieldPoint
+ * @property {number} x
+ * @property {number} y
+ * @property {number} slope The value of y' at the point
+ */
+
+/**
+ * A straight piece of an isocline, between two points
+ * @typedef {Object} Segment
+ * @property {number} x1
+ * @property {number} y1
+ * @property {number} x2
+ * @property {number} y2
+ */
+
+/**
+ * All the points of an isocline y' = c
+ * @typedef {Object} Isocline
+ * @property {number} level The slope c along the curve
+ * @property {Segment[]} segments
+ */
+
+/**
+ * Evenly spaced values covering an interval, including both ends
+ * @param {number} min
+ * @param {number} max
+ * @param {number} count How many values, at least 2
+ * @returns {number[]}
+ */
+export function grid(min, max, count) {
+	return Array.from({ length: count }, (_, i) => min + (max - min) * i / (count - 1));
+}
+
+/**
+ * Evaluates the slope on a grid of points, skipping those where it is not defined
+ * @param {function(number, number): number} f The derivative, as a function of x and y
+ * @param {number[]} xs The x-coordinates of the grid
+ * @param {number[]} ys The y-coordinates of the grid
+ * @returns {FieldPoint[]}
+ */
+export function slopeField(f, xs, ys) {
+	const points = [];
+	for (const x of xs)
+		for (const y of ys) {
+			const slope = evaluate(f, x, y);
+			if (Number.isFinite(slope))
+				points.push({ x, y, slope });
+		}
+	return points;
+}
+
+/**
+ * Evaluates the slope at a point, treating errors as an undefined slope
+ * @param {function(number, number): number} f
+ * @param {number} x
+ * @param {number} y
+ * @returns {number} The slope, or NaN where it is not defined
+ */
+function evaluate(f, x, y) {
+	try {
+		return f(x, y);
+	} catch (error) {
+		return NaN;
+	}
+}
+
+/**
+ * Chooses the slopes to draw the isoclines of: evenly spaced values between the 10th and 90th percentiles
+ * of the slopes in the field, so that the values near singularities do not hide the others
+ * @param {number[]} slopes The slopes over the area
+ * @param {number} count How many levels to choose
+ * @returns {number[]} The levels, rounded to 2 significant digits, without repetitions
+ */
+export function isoclineLevels(slopes, count) {
+	const sorted = slopes.filter(Number.isFinite).sort((a, b) => a - b);
+	if (!sorted.length)
+		return [];
+	const low = sorted[Math.floor(sorted.length * 0.1)];
+	const high = sorted[Math.floor((sorted.length - 1) * 0.9)];
+	if (low === high)
+		return [Number(low.toPrecision(2))];
+	const levels = grid(low, high, count).map(level => Number(level.toPrecision(2)));
+	return levels.filter((level, i) => levels.indexOf(level) === i);
+}
+
+/**
+ * Traces the curves along which the slope takes the given values, by marching squares over a grid.
+ * Cells where the slope is not defined at a corner are skipped
+ * @param {function(number, number): number} f The derivative, as a function of x and y
+ * @param {number[]} xs The x-coordinates of the grid, in increasing order
+ * @param {number[]} ys The y-coordinates of the grid, in increasing order
+ * @param {number[]} levels The slopes to trace the isoclines of
+ * @returns {Isocline[]}
+ */
+export function isoclines(f, xs, ys, levels) {
+	const values = xs.map(x => ys.map(y => evaluate(f, x, y)));
+	return levels.map(level => {
+		/** @type {Segment[]} */
+		const segments = [];
+		for (let i = 0; i + 1 < xs.length; i++)
+			for (let j = 0; j + 1 < ys.length; j++) {
+				// The corners in order around the cell, so that consecutive corners share an edge
+				const corners = [[i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1]]
+					.map(([a, b]) => ({ x: xs[a], y: ys[b], value: values[a][b] - level }));
+				if (!corners.every(({ value }) => Number.isFinite(value)))
+					continue;
+				const crossings = [];
+				corners.forEach((start, k) => {
+					const end = corners[(k + 1) % 4];
+					if ((start.value < 0) === (end.value < 0))
+						return;
+					const t = start.value / (start.value - end.value);
+					crossings.push({ x: start.x + t * (end.x - start.x), y: start.y + t * (end.y - start.y) });
+				});
+				// Two crossings make one segment; four (a saddle) are paired along the edges
+				for (let k = 0; k + 1 < crossings.length; k += 2)
+					segments.push({ x1: crossings[k].x, y1: crossings[k].y, x2: crossings[k + 1].x, y2: crossings[k + 1].y });
+			}
+		return { level, segments };
+	});
+}
@@ -0,0 +1,481 @@
+/**
+ * @file Interaction with the charts: zooming with the mouse wheel, panning by dragging, switching the scale of the y-axis
+ * (linear, logarithmic or symmetric logarithmic) and a crosshair that follows the mouse on all the charts sharing
+ * the quantity of their x-axis, with the value of every series at it
+ */
+
+// @ts-ignore
+var Chart = window.Chart;
+
+/**
+ * How the values of an axis are mapped to positions along it, and back
+ * @typedef {Object} Transform
+ * @property {function(number): number} forward
+ * @property {function(number): number} inverse
+ */
+
+/**
+ * The range of values shown on an axis
+ * @typedef {Object} Range
+ * @property {number} min
+ * @property {number} max
+ */
+
+/** The scales the y-axis can be switched to, as the types of Chart.js scales */
+export const yScales = {
+	linear: 'linear',
+	log: 'magnitude',
+	symlog: 'symlog',
+};
+
+/** How much a notch of the mouse wheel zooms in or out */
+const zoomFactor = 1.2;
+
+/** How far (in pixels) the mouse has to move for a press to be a drag rather than a click */
+const dragThreshold = 3;
+
+/** Tells the charts where the crosshair is: `move` events with the group of the charts and the value of x (or `null`) */
+const crosshairs = new EventTarget();
+
+/**
+ * Writes a tick of a logarithmic axis, without the digits of floating-point noise
+ * @param {number} value
+ * @returns {string}
+ */
+function formatTick(value) {
+	if (value === 0)
+		return '0';
+	const magnitude = Math.abs(value);
+	if (magnitude >= 1e-3 && magnitude < 1e4)
+		return String(Number(value.toPrecision(1)));
+	return value.toExponential(0);
+}
+
+/**
+ * The powers of ten between two (positive) values, thinned out to at most the given number of them
+ * @param {number} low
+ * @param {number} high
+ * @param {number} count
+ * @returns {number[]}
+ */
+function powersOfTen(low, high, count) {
+	const first = Math.ceil(Math.log10(low) - 1e-9), last = Math.floor(Math.log10(high) + 1e-9);
+	const every = Math.max(1, Math.ceil((last - first + 1) / count));
+	const powers = [];
+	for (let k = first; k <= last; k += every)
+		powers.push(Number(`1e${k}`));
+	return powers;
+}
+
+/**
+ * Creates a scale that places the values linearly after transforming them, based on the linear scale of Chart.js.
+ * The range given in the options of the ticks is honoured, which is how the charts are zoomed
+ * @param {function(number[]): Transform} makeTransform Chooses the transform from the values on the axis
+ * @param {function(Transform, number, number, number): number[]} makeTicks Chooses the ticks between the transformed
+ *   limits of the axis, given at most how many fit
+ * @returns {Object} The class of the scale
+ */
+function transformedScale(makeTransform, makeTicks) {
+	return Chart.scaleService.getScaleConstructor('linear').extend({
+		determineDataLimits() {
+			const chart = this.chart;
+			const horizontal = this.isHorizontal();
+			/** @type {number[]} */
+			const values = [];
+			chart.data.datasets.forEach((/** @type {{data: Object[]}} */ dataset, /** @type {number} */ i) => {
+				const meta = chart.getDatasetMeta(i);
+				if (!chart.isDatasetVisible(i) || (horizontal ? meta.xAxisID : meta.yAxisID) !== this.id)
+					return;
+				for (const point of dataset.data) {
+					const value = +this.getRightValue(point);
+					if (Number.isFinite(value))
+						values.push(value);
+				}
+			});
+			/** @type {Transform} */
+			this.transform = makeTransform(values);
+			const positions = values.map(this.transform.forward).filter(Number.isFinite);
+			const { min, max } = this.options.ticks;
+			let low = min === undefined ? Math.min(...positions) : this.transform.forward(min);
+			let high = max === undefined ? Math.max(...positions) : this.transform.forward(max);
+			if (!Number.isFinite(low) || !Number.isFinite(high))
+				[low, high] = [0, 1];
+			if (low === high)
+				[low, high] = [low - 1, high + 1];
+			/** The limits of the axis, transformed */
+			this.limits = { low, high };
+			this.min = this.transform.inverse(low);
+			this.max = this.transform.inverse(high);
+		},
+
+		buildTicks() {
+			const { low, high } = this.limits;
+			this.ticks = makeTicks(this.transform, low, high, Math.max(2, this._computeTickLimit()));
+			this.handleDirectionalChanges();
+			this.start = this.min;
+			this.end = this.max;
+		},
+
+		convertTicksToLabels() {
+			// The labels are written here rather than by the callback in the options, which keeps the callback of the
+			// linear scale when the type of an axis is changed on an existing chart
+			this.ticksAsNumbers = this.ticks.slice();
+			this.zeroLineIndex = this.ticks.indexOf(0);
+			this.ticks = this.ticks.map(formatTick);
+		},
+
+		getPixelForValue(/** @type {any} */ value) {
+			const { low, high } = this.limits;
+			const t = (this.transform.forward(+this.getRightValue(value)) - low) / (high - low);
+			return this.isHorizontal() ? this.left + t * this.width : this.bottom - t * this.height;
+		},
+
+		getValueForPixel(/** @type {number} */ pixel) {
+			const { low, high } = this.limits;
+			const t = this.isHorizontal() ? (pixel - this.left) / this.width : (this.bottom - pixel) / this.height;
+			return this.transform.inverse(low + t * (high - low));
+		},
+	});
+}
+
+/**
+ * The logarithm of the magnitude, so that errors of both signs show how many digits they are off.
+ * Zeros are put at the bottom of the axis, where the smallest errors are
+ */
+const MagnitudeScale = transformedScale(
+	(values) => {
+		const floor = Math.min(...values.filter(value => value !== 0).map(value => Math.log10(Math.abs(value))));
+		return {
+			forward: value => value === 0 ? floor : Math.log10(Math.abs(value)),
+			inverse: t => Math.pow(10, t),
+		};
+	},
+	(transform, low, high, count) => powersOfTen(Math.pow(10, low), Math.pow(10, high), count),
+);
+
+/**
+ * The symmetric logarithm sign(v)·log10(1 + |v|/c), linear around zero (below c, the smallest magnitude on the axis)
+ * and logarithmic away from it, so that values of both signs spanning many orders of magnitude can be compared
+ */
+const SymlogScale = transformedScale(
+	(values) => {
+		const smallest = Math.min(...values.filter(value => value !== 0).map(Math.abs));
+		const c = Number.isFinite(smallest) ? Math.pow(10, Math.floor(Math.log10(smallest))) : 1;
+		return {
+			forward: value => Math.sign(value) * Math.log10(1 + Math.abs(value) / c),
+			inverse: t => Math.sign(t) * c * (Math.pow(10, Math.abs(t)) - 1),
+		};
+	},
+	(transform, low, high, count) => {
+		// Zero and the powers of ten on each side of it, which are roughly evenly spaced.
+		// The threshold c is found back from the transform, as the value at log10(2)
+		const c = transform.inverse(Math.log10(2));
+		const positive = high > 0 ? powersOfTen(Math.max(c, transform.inverse(Math.max(low, 0))), transform.inverse(high), count / 2) : [];
+		const negative = low < 0 ? powersOfTen(Math.max(c, -transform.inverse(Math.min(high, 0))), -transform.inverse(low), count / 2) : [];
+		const ticks = [...negative.reverse().map(value => -value), ...(low <= 0 && high >= 0 ? [0] : []), ...positive];
+		return ticks.length ? ticks : [transform.inverse(low), transform.inverse(high)];
+	},
+);
+
+Chart.scaleService.registerScaleType(yScales.log, MagnitudeScale, { position: 'left' });
+Chart.scaleService.registerScaleType(yScales.symlog, SymlogScale, { position: 'left' });
+
+/**
+ * The value of a series at a point, interpolated linearly between the points around it
+ * (or held from the left one, for series drawn as a staircase)
+ * @param {Array<{x: number, y: ?number}>} data
+ * @param {number} x
+ * @param {boolean} stepped
+ * @returns {?number} The value, or `null` if the series does not reach the point
+ */
+function valueAt(data, x, stepped) {
+	for (let i = 0; i < data.length; i++) {
+		const a = data[i], b = data[i + 1];
+		if (a.x === x)
+			return a.y;
+		if (!b || (x - a.x) * (x - b.x) > 0)
+			continue;
+		if (typeof a.y !== 'number' || typeof b.y !== 'number')
+			return null;
+		return stepped ? a.y : a.y + (b.y - a.y) * (x - a.x) / (b.x - a.x);
+	}
+	return null;
+}
+
+/**
+ * Adds zooming, panning, the choice of the scale of the y-axis and the crosshair to a chart.
+ * The chart is rebuilt often, so its controller creates it through `configure` and `attach`, which carry the zoom
+ * and the scale over to the new one
+ */
+export class ChartInteraction {
+	/**
+	 * @param {HTMLCanvasElement} canvas The canvas the chart is drawn on
+	 * @param {Object<string, HTMLElement>} [elements] The select of the scale of the y-axis, the button resetting the zoom
+	 *   and the element to show the values at the crosshair in (by default, those with the id of the canvas followed by
+	 *   `-scale`, `-reset` and `-readout`)
+	 */
+	constructor(canvas, { scaleEl, resetEl, readoutEl } = {}) {
+		this.canvas = canvas;
+		/** @type {HTMLSelectElement} */
+		// @ts-ignore
+		this.scaleEl = scaleEl || document.getElementById(`${canvas.id}-scale`);
+		this.resetEl = resetEl || document.getElementById(`${canvas.id}-reset`);
+		this.readoutEl = readoutEl || document.getElementById(`${canvas.id}-readout`);
+
+		/** @type {Object} The chart currently drawn */
+		this.chart = null;
+		/** @type {?string} The charts whose crosshairs move together have the same group, `null` for none */
+		this.group = null;
+		/** @type {Object<string, Range>} The zoomed ranges of the axes, by their id */
+		this.ranges = {};
+		/** @type {?number} The value of x at the crosshair, `null` when it is hidden */
+		this.x = null;
+		/** @type {?{x: number, y: number}} The last position of the mouse while dragging, `null` when not dragging */
+		this.drag = null;
+		/** Whether the mouse moved since it was last pressed, so that the click ending a drag can be ignored */
+		this.dragged = false;
+		/** Ends dragging, wherever the mouse is released */
+		this._onMouseUp = () => this.drag = null;
+		/** Follows the crosshair of the charts of the same group */
+		this._onCrosshairMove = (/** @type {CustomEvent} */ event) => {
+			if (this.group && event.detail.group === this.group)
+				this._showCrosshair(event.detail.x);
+		};
+		this._registerListeners();
+	}
+
+	/**
+	 * The type of scale chosen for the y-axis
+	 * @returns {string}
+	 */
+	get yScale() {
+		return yScales[/** @type {keyof yScales} */ (this.scaleEl.value)] || yScales.linear;
+	}
+
+	/**
+	 * Prepares the configuration of a new chart: the axis with the id `y` gets the chosen scale and the axes keep their
+	 * zoom, unless the x-axis now shows another quantity
+	 * @param {Object} config The configuration of the chart, which is changed
+	 * @param {?string} group The quantity on the x-axis, shared by the charts whose crosshairs move together (`null` for none)
+	 * @returns {Object} The configuration
+	 */
+	configure(config, group) {
+		if (group !== this.group)
+			this.ranges = {};
+		this.group = group;
+		this.x = null;
+		const { xAxes = [], yAxes = [] } = config.options.scales;
+		for (const axis of [...xAxes, ...yAxes]) {
+			if (axis.id === 'y')
+				axis.type = this.yScale;
+			if (this.ranges[axis.id])
+				axis.ticks = { ...axis.ticks, ...this.ranges[axis.id] };
+		}
+		config.plugins = [...(config.plugins || []), { id: 'crosshair', afterDatasetsDraw: (/** @type {Object} */ chart) => this._drawCrosshair(chart) }];
+		return config;
+	}
+
+	/**
+	 * Starts interacting with a chart created from a configuration prepared by `configure`
+	 * @param {Object} chart The Chart.js chart, or `null` when the chart was removed
+	 */
+	attach(chart) {
+		this.chart = chart;
+		this.scaleEl.disabled = !chart || !chart.scales.y;
+		this._showReadout();
+	}
+
+	/**
+	 * Shows the whole data again
+	 */
+	reset() {
+		this.ranges = {};
+		if (this.chart)
+			this._applyRanges();
+	}
+
+	/**
+	 * Sets the range shown on the axes of the chart to the zoomed ones, redrawing it
+	 */
+	_applyRanges() {
+		const { xAxes = [], yAxes = [] } = this.chart.options.scales;
+		for (const axis of [...xAxes, ...yAxes]) {
+			const range = this.ranges[axis.id] || { min: undefined, max: undefined };
+			axis.ticks = { ...axis.ticks, ...range };
+		}
+		this.chart.update({ duration: 0 });
+	}
+
+	/**
+	 * Changes the range of every axis of the chart, by mapping new ends in pixels back to values
+	 * @param {function(Object): number[]} ends Gives the new ends (in pixels, left and right or bottom and top) of a scale
+	 */
+	_setRanges(ends) {
+		for (const scale of Object.values(this.chart.scales)) {
+			const [start, end] = ends(scale).map(pixel => scale.getValueForPixel(pixel));
+			if (Number.isFinite(start) && Number.isFinite(end) && start !== end)
+				this.ranges[scale.id] = { min: Math.min(start, end), max: Math.max(start, end) };
+		}
+		this._applyRanges();
+	}
+
+	/**
+	 * The position of the mouse on the chart, if it is over the area the data is drawn in
+	 * @param {MouseEvent} event
+	 * @returns {?{x: number, y: number}}
+	 */
+	_position(event) {
+		if (!this.chart)
+			return null;
+		const { x, y } = Chart.helpers.getRelativePosition(event, this.chart);
+		const { left, right, top, bottom } = this.chart.chartArea;
+		return x >= left && x <= right && y >= top && y <= bottom ? { x, y } : null;
+	}
+
+	/**
+	 * Zooms in or out around the mouse
+	 * @param {WheelEvent} event
+	 */
+	_zoom(event) {
+		const position = this._position(event);
+		if (!position)
+			return;
+		event.preventDefault();
+		const factor = event.deltaY > 0 ? zoomFactor : 1 / zoomFactor;
+		this._setRanges(scale => scale.isHorizontal()
+			? [position.x - (position.x - scale.left) * factor, position.x + (scale.right - position.x) * factor]
+			: [position.y + (scale.bottom - position.y) * factor, position.y - (position.y - scale.top) * factor]);
+	}
+
+	/**
+	 * Moves the axes along with the mouse while dragging, otherwise moves the crosshair
+	 * @param {MouseEvent} event
+	 */
+	_move(event) {
+		const position = this._position(event);
+		if (this.drag) {
+			const { x, y } = Chart.helpers.getRelativePosition(event, this.chart);
+			const dx = x - this.drag.x, dy = y - this.drag.y;
+			this.dragged = this.dragged || Math.hypot(dx, dy) >= dragThreshold;
+			if (!this.dragged)
+				return;
+			this.drag = { x, y };
+			this._setRanges(scale => scale.isHorizontal()
+				? [scale.left - dx, scale.right - dx]
+				: [scale.bottom - dy, scale.top - dy]);
+		}
+		const xScale = position && this.chart.scales[this.chart.options.scales.xAxes[0].id];
+		this._moveCrosshair(xScale ? xScale.getValueForPixel(position.x) : null);
+	}
+
+	/**
+	 * Moves the crosshair of this chart, and of the others of its group
+	 * @param {?number} x The value of x to put it at, or `null` to hide it
+	 */
+	_moveCrosshair(x) {
+		if (this.group)
+			crosshairs.dispatchEvent(new CustomEvent('move', { detail: { group: this.group, x } }));
+		else
+			this._showCrosshair(x);
+	}
+
+	/**
+	 * Puts the crosshair at a value of x and shows the values of the series there
+	 * @param {?number} x The value of x, or `null` to hide the crosshair
+	 */
+	_showCrosshair(x) {
+		if (x === this.x)
+			return;
+		this.x = x;
+		if (this.chart)
+			this.chart.draw();
+		this._showReadout();
+	}
+
+	/**
+	 * Draws the crosshair as a vertical line across the area of the data
+	 * @param {Object} chart The Chart.js chart
+	 */
+	_drawCrosshair(chart) {
+		const xScale = chart.scales[chart.options.scales.xAxes[0].id];
+		if (this.x === null || !xScale)
+			return;
+		const pixel = xScale.getPixelForValue(this.x);
+		const { left, right, top, bottom } = chart.chartArea;
+		if (!(pixel >= left && pixel <= right))
+			return;
+		const ctx = chart.ctx;
+		ctx.save();
+		ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
+		ctx.lineWidth = 1;
+		ctx.setLineDash([3, 3]);
+		ctx.beginPath();
+		ctx.moveTo(pixel, top);
+		ctx.lineTo(pixel, bottom);
+		ctx.stroke();
+		ctx.restore();
+	}
+
+	/**
+	 * Lists the value of every series shown at the crosshair, in the colour of its line
+	 */
+	_showReadout() {
+		if (this.x === null || !this.chart) {
+			this.readoutEl.replaceChildren();
+			return;
+		}
+		const format = (/** @type {number} */ value) => value !== 0 && Math.abs(value) < 1e-3
+			? value.toExponential(4)
+			: String(Number(value.toPrecision(6)));
+		const name = this.chart.options.scales.xAxes[0].scaleLabel.labelString || 'x';
+		const heading = document.createElement('span');
+		heading.textContent = `${name} = ${format(this.x)}`;
+		const items = [heading];
+		this.chart.data.datasets.forEach((/** @type {Object} */ dataset, /** @type {number} */ i) => {
+			if (!this.chart.isDatasetVisible(i) || dataset.showLine === false)
+				return;
+			const value = valueAt(dataset.data, this.x, Boolean(dataset.steppedLine));
+			if (typeof value !== 'number' || !Number.isFinite(value))
+				return;
+			const item = document.createElement('span');
+			item.style.borderColor = dataset.borderColor;
+			item.textContent = `${dataset.label}: ${format(value)}`;
+			items.push(item);
+		});
+		this.readoutEl.replaceChildren(...items);
+	}
+
+	/**
+	 * Registers listeners to the mouse on the canvas, to the controls and to the crosshairs of the other charts
+	 */
+	_registerListeners() {
+		this.canvas.addEventListener('wheel', event => this._zoom(event), { passive: false });
+		this.canvas.addEventListener('mousedown', event => {
+			this.dragged = false;
+			if (event.button === 0 && this._position(event))
+				this.drag = Chart.helpers.getRelativePosition(event, this.chart);
+		});
+		window.addEventListener('mouseup', this._onMouseUp);
+		this.canvas.addEventListener('mousemove', event => this._move(event));
+		this.canvas.addEventListener('mouseleave', () => this._moveCrosshair(null));
+		this.resetEl.addEventListener('click', () => this.reset());
+		this.scaleEl.addEventListener('change', () => {
+			const axis = this.chart && this.chart.options.scales.yAxes.find((/** @type {{id: string}} */ axis) => axis.id === 'y');
+			if (!axis)
+				return;
+			axis.type = this.yScale;
+			delete this.ranges.y;
+			this._applyRanges();
+		});
+		crosshairs.addEventListener('move', this._onCrosshairMove);
+	}
+
+	/**
+	 * Stops following the mouse outside the canvas and the crosshairs of the other charts, once the chart is removed
+	 */
+	dispose() {
+		window.removeEventListener('mouseup', this._onMouseUp);
+		crosshairs.removeEventListener('move', this._onCrosshairMove);
+		this.attach(null);
+	}
+}
@@ -0,0 +1,130 @@
+/**
+ * @file Conversion of the computed data to the formats it can be exported in (CSV and JSON),
+ * and reading back the inputs from an exported JSON file
+ * @typedef { import('./linalg').State } State
+ * @typedef { import('./models').point } point
+ */
+
+import { components } from './linalg.js';
+
+/**
+ * A named list of points, as plotted on one of the charts
+ * @typedef {Object} Series
+ * @property {string} label The name of the series (usually that of the method)
+ * @property {point[]} data The points
+ */
+
+/**
+ * The inputs the data was computed from
+ * @typedef {Object} ExportConfig
+ * @property {number} x0
+ * @property {State} y0
+ * @property {number} X
+ * @property {number} N
+ * @property {number} h
+ * @property {number} tol
+ */
+
+/**
+ * The text of the equation the data was computed from
+ * @typedef {Object} Expressions
+ * @property {string} derivative
+ * @property {string} exact
+ * @property {number} order
+ */
+
+/**
+ * Thrown when an imported file is not a valid export
+ */
+export class ImportError extends Error {
+	/**
+	 * @param {string} message Description of the problem
+	 */
+	constructor(message) {
+		super(message);
+		this.name = 'ImportError';
+	}
+}
+
+/**
+ * Quotes a CSV field if it contains a separator, a quote or a line break
+ * @param {string|number} value
+ * @returns {string}
+ */
+function csvField(value) {
+	const text = String(value);
+	return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes the series of a chart as CSV, one row per point, preceded by the inputs as `#` comment lines.
+ * The states of systems take one column per component
+ * @param {string} title The title of the chart
+ * @param {Series[]} series The data of the chart
+ * @param {ExportConfig} config The inputs the data was computed from
+ * @param {Expressions} expressions The equation the data was computed from
+ * @returns {string}
+ */
+export function toCSV(title, series, config, expressions) {
+	const width = series.reduce((max, { data }) =>
+		data.reduce((max, { y }) => Math.max(max, y === null || y === undefined ? 1 : components(y).length), max), 1);
+	const header = ['series', 'x', ...(width === 1 ? ['y'] : Array.from({ length: width }, (_, i) => `y${i + 1}`))];
+	const lines = [
+		`# ${title}`,
+		...Object.entries({ ...expressions, ...config }).map(([name, value]) => `# ${name}: ${Array.isArray(value) ? value.join('; ') : value}`),
+		header.join(','),
+	];
+	for (const { label, data } of series)
+		for (const { x, y } of data) {
+			const values = y === null || y === undefined ? [''] : components(y);
+			lines.push([label, x, ...values].map(csvField).join(','));
+		}
+	return lines.join('\n') + '\n';
+}
+
+/**
+ * Writes the series of a chart as JSON, along with everything needed to compute them again
+ * @param {string} title The title of the chart
+ * @param {Series[]} series The data of the chart
+ * @param {ExportConfig} config The inputs the data was computed from
+ * @param {Expressions} expressions The equation the data was computed from
+ * @returns {string}
+ */
+export function toJSON(title, series, config, expressions) {
+	return JSON.stringify({ chart: title, equation: expressions, config, series }, null, '\t');
+}
+
+/**
+ * Reads the inputs back from an exported JSON file
+ * @param {string} text The content of the file
+ * @returns {{config: ExportConfig, equation: Expressions}}
+ * @throws {ImportError} If the file is not valid JSON, or lacks some of the inputs
+ */
+export function fromJSON(text) {
+	let content;
+	try {
+		content = JSON.parse(text);
+	} catch (error) {
+		throw new ImportError(`The file is not valid JSON: ${error.message}`);
+	}
+	const { config, equation } = content || {};
+	if (!config || !equation)
+		throw new ImportError('The file does not contain the equation and configuration of an export');
+	if (typeof equation.derivative !== 'string')
+		throw new ImportError('The derivative is missing from the file');
+	for (const name of ['x0', 'X', 'N', 'tol'])
+		if (!Number.isFinite(config[name]))
+			throw new ImportError(`'${name}' is missing from the file or is not a number`);
+	if (!Number.isInteger(config.N) || config.N < 1)
+		throw new ImportError(`'N' must be a whole number of at least 1`);
+	if (!Array.isArray(config.y0) && !Number.isFinite(config.y0) || !components(config.y0).every(Number.isFinite))
+		throw new ImportError(`'y0' is missing from the file or is not a number or list of numbers`);
+	return {
+		config,
+		equation: {
+			derivative: equation.derivative,
+			exact: typeof equation.exact === 'string' ? equation.exact : '',
+			order: Number.isFinite(equation.order) ? equation.order : 1,
+		},
+	};
+}
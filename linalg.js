@@ -0,0 +1,245 @@
+/**
+ * @file Helpers for arithmetic on the state of a differential equation,
+ * which is either a single number or, for systems of equations, a vector (array of numbers),
+ * along with the small amount of linear algebra needed by implicit methods, interpolation within a step
+ * and the root finding used to locate events
+ */
+
+/**
+ * The state of a differential equation: a number for a single equation, or an array for a system
+ * @typedef {number | number[]} State
+ */
+
+/**
+ * Adds two states of the same shape
+ * @param {State} a
+ * @param {State} b
+ * @returns {State} a + b
+ */
+export function add(a, b) {
+	if (typeof a === 'number' && typeof b === 'number')
+		return a + b;
+	return /** @type {number[]} */ (a).map((ai, i) => ai + b[i]);
+}
+
+/**
+ * Subtracts two states of the same shape
+ * @param {State} a
+ * @param {State} b
+ * @returns {State} a - b
+ */
+export function subtract(a, b) {
+	if (typeof a === 'number' && typeof b === 'number')
+		return a - b;
+	return /** @type {number[]} */ (a).map((ai, i) => ai - b[i]);
+}
+
+/**
+ * Multiplies a state by a number
+ * @param {State} a
+ * @param {number} k
+ * @returns {State} k * a
+ */
+export function scale(a, k) {
+	if (typeof a === 'number')
+		return k * a;
+	return a.map(ai => k * ai);
+}
+
+/**
+ * Computes `y + h * (c[0] * k[0] + c[1] * k[1] + ...)`, the update used by all Runge-Kutta-like methods.
+ * Terms with a zero coefficient are skipped, so `k` may be shorter than `c` as long as the missing ones are zero
+ * @param {State} y The starting state
+ * @param {number} h The step size
+ * @param {number[]} c The coefficients
+ * @param {State[]} k The slopes
+ * @returns {State}
+ */
+export function combine(y, h, c, k) {
+	let result = y;
+	c.forEach((ci, i) => {
+		if (ci !== 0)
+			result = add(result, scale(k[i], h * ci));
+	});
+	return result;
+}
+
+/**
+ * The max-norm of a state (the absolute value for a number)
+ * @param {State} a
+ * @returns {number}
+ */
+export function norm(a) {
+	if (typeof a === 'number')
+		return Math.abs(a);
+	return a.reduce((max, ai) => Math.max(max, Math.abs(ai)), 0);
+}
+
+/**
+ * The components of a state as an array
+ * @param {State} a
+ * @returns {number[]}
+ */
+export function components(a) {
+	return typeof a === 'number' ? [a] : a;
+}
+
+/**
+ * Solves the linear system A x = b by Gaussian elimination with partial pivoting
+ * @param {number[][]} A The (square) matrix of coefficients
+ * @param {number[]} b The right-hand side
+ * @returns {number[]} The solution x
+ * @throws {RangeError} If the matrix is singular
+ */
+export function solve(A, b) {
+	const n = b.length;
+	const M = A.map((row, i) => [...row, b[i]]);
+	for (let col = 0; col < n; col++) {
+		let pivot = col;
+		for (let row = col + 1; row < n; row++)
+			if (Math.abs(M[row][col]) > Math.abs(M[pivot][col]))
+				pivot = row;
+		if (!(Math.abs(M[pivot][col]) > 0))
+			throw new RangeError('The matrix is singular');
+		[M[col], M[pivot]] = [M[pivot], M[col]];
+		for (let row = col + 1; row < n; row++) {
+			const factor = M[row][col] / M[col][col];
+			for (let k = col; k <= n; k++)
+				M[row][k] -= factor * M[col][k];
+		}
+	}
+	const x = new Array(n).fill(0);
+	for (let row = n - 1; row >= 0; row--) {
+		let sum = M[row][n];
+		for (let k = row + 1; k < n; k++)
+			sum -= M[row][k] * x[k];
+		x[row] = sum / M[row][row];
+	}
+	return x;
+}
+
+/**
+ * Approximates the Jacobian matrix of F at y by forward differences.
+ * For a scalar function of a scalar, this is simply the derivative
+ * @param {function(State): State} F The function to differentiate
+ * @param {State} y The point to differentiate at
+ * @param {State} [Fy] The value of F at y, if already known
+ * @returns {number | number[][]} The matrix of partial derivatives ∂F_i/∂y_j
+ */
+export function numericalJacobian(F, y, Fy = F(y)) {
+	const step = (/** @type {number} */ yj) => Math.sqrt(Number.EPSILON) * Math.max(1, Math.abs(yj));
+	if (typeof y === 'number') {
+		const delta = step(y);
+		return (/** @type {number} */ (F(y + delta)) - /** @type {number} */ (Fy)) / delta;
+	}
+	const columns = y.map((yj, j) => {
+		const delta = step(yj);
+		const shifted = [...y];
+		shifted[j] += delta;
+		return components(subtract(F(shifted), Fy)).map(diff => diff / delta);
+	});
+	return y.map((_, i) => columns.map(column => column[i]));
+}
+
+/**
+ * Finds a root of G using Newton's method
+ * @param {function(State): State} G The function whose root to find
+ * @param {State} guess The initial guess
+ * @param {Object} [options]
+ * @param {function(State): (number | number[][])} [options.jacobian] The Jacobian of G (approximated numerically if omitted)
+ * @param {number} [options.tolerance] The iteration stops when the update is smaller than this (relative to the root)
+ * @param {number} [options.maxIterations] The iteration fails if it did not converge after this many iterations
+ * @returns {{root: State, iterations: number, converged: boolean}} The last iterate, and whether it converged
+ */
+export function newton(G, guess, { jacobian, tolerance = 1e-10, maxIterations = 50 } = {}) {
+	let y = guess;
+	for (let iterations = 1; iterations <= maxIterations; iterations++) {
+		const Gy = G(y);
+		const J = jacobian ? jacobian(y) : numericalJacobian(G, y, Gy);
+		let update;
+		try {
+			update = typeof J === 'number'
+				? /** @type {number} */ (Gy) / J
+				: solve(J, components(Gy));
+		} catch (error) {
+			return { root: y, iterations, converged: false };
+		}
+		y = subtract(y, update);
+		if (!components(y).every(Number.isFinite))
+			return { root: y, iterations, converged: false };
+		if (norm(update) <= tolerance * (1 + norm(y)))
+			return { root: y, iterations, converged: true };
+	}
+	return { root: y, iterations: maxIterations, converged: false };
+}
+
+/**
+ * Approximates the k-th derivative of a function of one variable by central differences
+ * @param {function(number): number} f The function to differentiate
+ * @param {number} x The point to differentiate at
+ * @param {number} k The order of the derivative (0 gives the value itself)
+ * @returns {number} The approximate value of f⁽ᵏ⁾(x)
+ */
+export function nthDerivative(f, x, k) {
+	if (k === 0)
+		return f(x);
+	// Balances the truncation error of the difference with the round-off in the values of f
+	const delta = Number.EPSILON ** (1 / (k + 2)) * Math.max(1, Math.abs(x));
+	let sum = 0, binomial = 1;
+	for (let j = 0; j <= k; j++) {
+		sum += (j % 2 ? -1 : 1) * binomial * f(x + (k / 2 - j) * delta);
+		binomial = binomial * (k - j) / (j + 1);
+	}
+	return sum / delta ** k;
+}
+
+/**
+ * Interpolates the solution within a step by the cubic Hermite polynomial matching the values and slopes at both ends
+ * @param {number} x0 The start of the step
+ * @param {State} y0 The value at x0
+ * @param {State} f0 The slope at x0
+ * @param {number} x1 The end of the step
+ * @param {State} y1 The value at x1
+ * @param {State} f1 The slope at x1
+ * @param {number} x The point to interpolate at, usually between x0 and x1
+ * @returns {State}
+ */
+export function hermite(x0, y0, f0, x1, y1, f1, x) {
+	const h = x1 - x0, t = (x - x0) / h;
+	const t2 = t * t, t3 = t2 * t;
+	return combine(scale(y0, 2 * t3 - 3 * t2 + 1), 1, [-2 * t3 + 3 * t2, h * (t3 - 2 * t2 + t), h * (t3 - t2)], [y1, f0, f1]);
+}
+
+/**
+ * Finds a root of a function of one variable between two points where it has opposite signs,
+ * by the Illinois variant of the false position method (which keeps the root bracketed)
+ * @param {function(number): number} f The function whose root to find
+ * @param {number} a One end of the bracket
+ * @param {number} b The other end
+ * @param {number} [fa] f(a), if it is already known
+ * @param {number} [fb] f(b), if it is already known
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] The search stops when an iterate moves less than this (relative to the root)
+ * @param {number} [options.maxIterations] The search stops after this many iterations
+ * @returns {number} The last iterate
+ */
+export function findRoot(f, a, b, fa = f(a), fb = f(b), { tolerance = 1e-12, maxIterations = 100 } = {}) {
+	if (fa === 0)
+		return a;
+	for (let i = 0; i < maxIterations && fb !== 0; i++) {
+		const c = b - fb * (b - a) / (fb - fa);
+		const fc = f(c);
+		if (!Number.isFinite(fc))
+			break;
+		// The end kept from the last bracket has its value halved, so that it does not stay there forever
+		if ((fc < 0) !== (fb < 0))
+			[a, fa] = [b, fb];
+		else
+			fa /= 2;
+		const change = Math.abs(c - b);
+		[b, fb] = [c, fc];
+		if (change <= tolerance * Math.max(1, Math.abs(c)))
+			break;
+	}
+	return b;
+}
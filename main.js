@@ -3,20 +3,14 @@
  * @file The main entry of the entire program that uses classes and methods from other files
  */
 
-import { SolutionGraph, GlobalError, LocalError } from './controller.js';
-import { DifferentialFunction } from './models.js';
+import { SolutionGraph, StepWalkthrough, GlobalError, LocalError, ParameterSweep, EquationInput, TableauInput, EventInput, MethodSelector, DataExchange, SessionManager, PresetLibrary } from './controller.js';
+import { presets } from './presets.js';
 
-const initialValues = {
-	x0: 1,
-	y0: 2,
-	X: 10,
-	N: 20,
-};
+// The page starts with the equation of the assignment
+const { equation: initialEquation, values: initialValues } = presets.linear;
 
-const f = (x) => 3 * (x ** 2) - x;
-const df = (x, y) => 1 + 2 * y / x;
-
-const functions = new DifferentialFunction(f, df);
+const equation = new EquationInput(initialEquation);
+const functions = equation.funcs;
 
 /** @type {HTMLCanvasElement} */
 // @ts-ignore
@@ -30,8 +24,37 @@ const globalErrorGraph = document.getElementById('global-error')
 // @ts-ignore
 const localErrorGraph = document.getElementById('local-error');
 
+/** @type {HTMLCanvasElement} */
+// @ts-ignore
+const sweepGraph = document.getElementById('sweep');
+
 const controller = new SolutionGraph(mainGraph, functions, initialValues);
-const globalErrorController = new GlobalError(globalErrorGraph, functions);
+const globalErrorController = new GlobalError(globalErrorGraph);
 const localErrorController = new LocalError(localErrorGraph);
-
-controller.buildChart();
+const sweep = new ParameterSweep(sweepGraph);
+const walkthrough = new StepWalkthrough(controller);
+
+const tableauInput = new TableauInput();
+const eventInput = new EventInput(equation);
+const methodSelector = new MethodSelector();
+const presetLibrary = new PresetLibrary(equation, controller);
+
+const dataExchange = new DataExchange(equation, controller, {
+	'solution': controller,
+	'global-error': globalErrorController,
+	'local-error': localErrorController,
+	'sweep': sweep,
+});
+
+const sessions = new SessionManager({
+	equation,
+	tableau: tableauInput,
+	events: eventInput,
+	graph: controller,
+	globalError: globalErrorController,
+	localError: localErrorController,
+});
+
+// A shared link opens the workspace it describes, otherwise the initial values are shown
+if (!sessions.restoreFromURL())
+	controller.buildChart();
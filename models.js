@@ -1,31 +1,43 @@
 /**
  * @file Defines the self-contained classes that mainly represent data and operations on them
+ * @typedef { import('./linalg').State } State
  */
 
+import { add, subtract, scale, combine, norm, components, newton, nthDerivative, hermite, findRoot } from './linalg.js';
+
 /**
  * Class representing a collection of a function (of one variable) 
  *   with its derivative (as an expression of both x and y)
- * The expression is in the form: $ y' = f(x, y) $, where f(x, y) is the function given here
+ * The expression is in the form: $ y' = f(x, y) $, where f(x, y) is the function given here.
+ * For a system of equations, y is a vector (array) and f returns a vector of the same length
  */
 export class DifferentialFunction {
 	/**
 	 * @callback actualFunction The exact function solution
 	 * @param {number} x independent variable
-	 * @returns {number} value of the function at [x]
+	 * @returns {State} value of the function at [x]
 	 */
 	/**
 	 * @callback derivative
 	 * @param {number} x x
-	 * @param {number} y y
-	 * @returns {number} y'(x,y)
+	 * @param {State} y y
+	 * @returns {State} y'(x,y)
+	 */
+	/**
+	 * @callback jacobian
+	 * @param {number} x x
+	 * @param {State} y y
+	 * @returns {number | number[][]} The partial derivatives ∂f_i/∂y_j (a number for a single equation)
 	 */
 
 	/**
 	 * Constructor
-	 * @param { actualFunction } exact The solution of the differential equation 
+	 * @param { ?actualFunction } exact The solution of the differential equation (`null` if it is not known)
 	 * @param { derivative } derivative The expression y'(x, y)
+	 * @param { jacobian } [jacobian] The Jacobian of y'(x, y) with respect to y, used by implicit methods
+	 *   (which approximate it numerically if it is not given)
 	 */
-	constructor(exact, derivative) {
+	constructor(exact, derivative, jacobian = null) {
 		/**
 		 * @private
 		 * @const
@@ -37,24 +49,259 @@ export class DifferentialFunction {
 		 *  @const
 		 */
 		this._df = derivative;
+
+		/** @const */
+		this.jacobian = jacobian;
+
+		/**
+		 * The order of the equation this was created from. For an order n > 1, the state is the vector
+		 * [y, y', ..., y⁽ⁿ⁻¹⁾] and the exact solution (if given) is only that of y
+		 */
+		this.order = 1;
+
+		/**
+		 * The exact solution in terms of x and the integration constants, if it was given as a family of solutions.
+		 * The exact solution is then the member of the family fixed by `fit` for the current initial value
+		 * @type {?function(number, number[]): State}
+		 */
+		this.family = null;
+
+		/** The number of integration constants of the family */
+		this.constants = 0;
+
+		/**
+		 * The text of the expressions this was parsed from, if it was, so that it can be rebuilt elsewhere (e.g. in a worker)
+		 * @type {?{derivative: string, exact: string, order: number}}
+		 */
+		this.source = null;
+
+		/**
+		 * How the reference solution used in place of the exact one was computed, if it was
+		 * @type {?Reference}
+		 */
+		this.reference = null;
+
+		/**
+		 * @private
+		 * @type {?Solution}
+		 */
+		this._reference = null;
+
+		/**
+		 * The inputs the reference solution was computed for, so that it is only computed again when they change
+		 * @private
+		 */
+		this._referenceKey = '';
+	}
+
+	/**
+	 * Creates the first-order system equivalent to the n-th order equation $ y⁽ⁿ⁾ = f(x, y, y', ..., y⁽ⁿ⁻¹⁾) $
+	 * @param { ?actualFunction } exact The solution y(x) of the equation (`null` if it is not known)
+	 * @param { function(number, number[]): number } highest The expression of y⁽ⁿ⁾ in terms of x and [y, y', ..., y⁽ⁿ⁻¹⁾]
+	 * @param {number} order The order n of the equation
+	 * @returns {DifferentialFunction}
+	 */
+	static higherOrder(exact, highest, order) {
+		const funcs = new DifferentialFunction(exact, (x, y) => {
+			const state = /** @type {number[]} */ (y);
+			return [...state.slice(1), highest(x, state)];
+		});
+		funcs.order = order;
+		return funcs;
+	}
+
+	/**
+	 * Gives the exact solution as a family with integration constants, to be fixed from the initial value by `fit`
+	 * @param {function(number, number[]): State} family The solution in terms of x and the constants
+	 * @param {number} constants The number of constants
+	 * @returns {DifferentialFunction} The same object, for chaining
+	 */
+	withFamily(family, constants) {
+		this.family = family;
+		this.constants = constants;
+		this._actual = null;
+		return this;
+	}
+
+	/**
+	 * Finds the integration constants for which the family of solutions satisfies the initial value,
+	 * and makes the resulting solution the exact one.
+	 * For an equation of order n > 1, the initial value is [y, y', ..., y⁽ⁿ⁻¹⁾], so the derivatives of the family
+	 * (approximated by finite differences) are matched too
+	 * @param {number} x0
+	 * @param {State} y0
+	 * @returns {number[]} The values of the constants
+	 * @throws {RangeError} If no values of the constants satisfy the initial value
+	 */
+	fit(x0, y0) {
+		const family = this.family;
+		this._actual = null;
+		/** @param {number[]} C */
+		const initial = (C) => this.order > 1
+			? components(y0).map((_, k) => nthDerivative(x => /** @type {number} */ (family(x, C)), x0, k))
+			: family(x0, C);
+		const residual = (/** @type {State} */ C) => subtract(initial(components(C)), y0);
+
+		if (components(initial(new Array(this.constants).fill(0))).length !== components(y0).length)
+			throw new RangeError('The exact solution does not have as many components as the initial value');
+		// The families are most often linear in the constants, in which case the first guess is enough
+		for (const guess of [0, 1, -1]) {
+			// The residual is checked instead of the convergence, since finite differences keep it from going below round-off
+			const { root } = newton(residual, new Array(this.constants).fill(guess), { tolerance: 1e-12 });
+			if (norm(residual(root)) <= 1e-8 * (1 + norm(y0))) {
+				this._actual = (/** @type {number} */ x) => family(x, components(root));
+				return components(root);
+			}
+		}
+		const names = this.constants === 1 ? 'C' : 'the constants';
+		throw new RangeError(`No value of ${names} makes the exact solution pass through x0 = ${format(x0)}, y0 = ${components(y0).map(format).join('; ')}`);
+	}
+
+	/**
+	 * Whether the exact solution is known, or a reference solution stands for it
+	 * @returns {boolean}
+	 */
+	get hasExact() {
+		return typeof this._actual === 'function' || this._reference !== null;
+	}
+
+	/**
+	 * Whether there is no closed form of the solution, so that a reference solution has to be computed to compare against
+	 * @returns {boolean}
+	 */
+	get needsReference() {
+		return !this.family && typeof this._actual !== 'function';
+	}
+
+	/**
+	 * Computes a reference solution standing for the unknown exact one, with the classical Runge-Kutta method:
+	 * the number of steps is doubled until two consecutive runs agree to the tolerance, and the finer run is the reference.
+	 * Its accuracy is estimated from the last two runs by Richardson extrapolation
+	 * @param {number} x0
+	 * @param {State} y0
+	 * @param {number} X The end of the interval, which may be before x0
+	 * @param {{tolerance?: number, maxSteps?: number}} [options] The accuracy wanted, relative to the size of the solution,
+	 *   and the most steps to take to reach it (1e-10 and 2^18 by default)
+	 * @returns {Reference} How the reference was computed
+	 */
+	computeReference(x0, y0, X, options) {
+		const { tolerance, maxSteps } = { ...referenceOptions, ...options };
+		if (this.hasReference(x0, y0, X, options))
+			return this.reference;
+		const df = this.derivative.bind(this);
+		let coarse = null, fine = null, N = 32, accuracy = NaN, converged = false, diagnostic = null;
+		while (!converged && N < maxSteps) {
+			N *= 2;
+			const method = new RungeKutta(df, { x0, y0, X, N });
+			fine = method();
+			// Runs that stop early may agree on the part they cover, which says nothing of the rest
+			if (method.diagnostic) {
+				diagnostic = method.diagnostic;
+				accuracy = NaN;
+				break;
+			}
+			if (coarse) {
+				// Every point of the coarse run is also every other point of the fine one
+				let change = 0, size = 0;
+				for (let i = 0; i < coarse.length && 2 * i < fine.length; i++) {
+					change = Math.max(change, norm(subtract(coarse[i].y, fine[2 * i].y)));
+					size = Math.max(size, norm(fine[2 * i].y));
+				}
+				accuracy = change / (2 ** method.order - 1);
+				converged = accuracy <= tolerance * Math.max(1, size);
+			}
+			coarse = fine;
+		}
+		this._reference = fine;
+		this._referenceKey = referenceKey(x0, y0, X, options);
+		this.reference = diagnostic ? { N, accuracy, converged: false, tolerance, diagnostic } : { N, accuracy, converged, tolerance };
+		return this.reference;
+	}
+
+	/**
+	 * Whether the reference solution is the one for these inputs, so that it need not be computed again
+	 * @param {number} x0
+	 * @param {State} y0
+	 * @param {number} X
+	 * @param {{tolerance?: number, maxSteps?: number}} [options] As given to computeReference
+	 * @returns {boolean}
+	 */
+	hasReference(x0, y0, X, options) {
+		return this.reference !== null && this._referenceKey === referenceKey(x0, y0, X, options);
+	}
+
+	/**
+	 * Uses a reference solution computed elsewhere (such as in a Web Worker) as if computeReference had computed it,
+	 * or drops the reference
+	 * @param {number} x0
+	 * @param {State} y0
+	 * @param {number} X
+	 * @param {?{reference: Reference, points: point[]}} computed How the reference was computed and its points,
+	 *   or `null` to drop it
+	 * @param {{tolerance?: number, maxSteps?: number}} [options] As given to computeReference
+	 */
+	setReference(x0, y0, X, computed, options) {
+		this.reference = computed && computed.reference;
+		this._reference = computed && new Solution(computed.points, this.derivative.bind(this));
+		this._referenceKey = computed ? referenceKey(x0, y0, X, options) : '';
+	}
+
+	/**
+	 * The points of the reference solution, to send it elsewhere
+	 * @returns {point[]}
+	 */
+	get referencePoints() {
+		return this._reference ? Array.from(this._reference) : [];
 	}
 
 	/**
 	 * A method that gets the value of the actual solution at the input [x]
 	 * @param {number} x x
-	 * @returns {number} y
+	 * @returns {State} y
 	 */
 	exact(x) {
 		if (arguments.length !== 1)
 			throw 'f is a function of x only!';
-		return this._actual(x);
+		if (!this.hasExact)
+			throw 'The exact solution is not known';
+		if (typeof this._actual === 'function')
+			return this._actual(x);
+		// Like the exact solution of an equation of higher order, the reference is only that of y
+		const y = this._reference.evaluate(x);
+		return this.order > 1 ? components(y)[0] : y;
+	}
+
+	/**
+	 * Evaluates the exact solution at the given points, stopping at the first point where it is not defined
+	 * @param {number[]} domain The points to evaluate the solution at
+	 * @returns {{data: point[], diagnostic: Diagnostic}} The values, and the description of the failure if there was one
+	 */
+	tabulateExact(domain) {
+		/** @type {point[]} */
+		const data = [];
+		for (const x of domain) {
+			let y;
+			try {
+				y = this.exact(x);
+			} catch (error) {
+				y = NaN;
+			}
+			if (!components(y).every(Number.isFinite)) {
+				const name = this.reference ? 'reference' : 'exact';
+				const message = `The ${name} solution is not defined at x = ${format(x)}`;
+				const last = data[data.length - 1];
+				return { data, diagnostic: { method: `${name[0].toUpperCase()}${name.slice(1)} solution`, reason: 'exact', x, y: last && last.y, message } };
+			}
+			data.push({ x, y });
+		}
+		return { data, diagnostic: null };
 	}
 
 	/**
 	 * A method that gets the value of y'(x, y)
 	 * @param {number} x x
-	 * @param {number} y y
-	 * @returns {number} y'(x,y)
+	 * @param {State} y y
+	 * @returns {State} y'(x,y)
 	 */
 	derivative(x, y) {
 		if (arguments.length !== 2)
@@ -63,20 +310,291 @@ export class DifferentialFunction {
 	}
 }
 
+/**
+ * The difference between the exact solution and an approximation of it.
+ * For single equations this is the signed difference, while for systems it is the max-norm of the difference.
+ * If the exact value is a number but the approximation is a vector (as for higher-order equations),
+ * only the first component (y itself) is compared
+ * @param {State} exact The exact value
+ * @param {State} approximation The approximated value
+ * @returns {number}
+ */
+export function difference(exact, approximation) {
+	if (typeof exact === 'number')
+		return exact - (typeof approximation === 'number' ? approximation : approximation[0]);
+	return norm(subtract(exact, approximation));
+}
+
+
+/**
+ * The points of a grid of N equal steps from x0 to X, which may be before x0.
+ * Each point is computed from its index rather than by adding up the steps, so that rounding does not accumulate,
+ * and the last one is X itself
+ * @param {number} x0 The first point
+ * @param {number} X The last point
+ * @param {number} N The number of steps, a whole number of at least 1
+ * @returns {number[]} The N + 1 points
+ */
+export function stepGrid(x0, X, N) {
+	return Array.from({ length: N + 1 }, (_, n) => n === N ? X : x0 + n * (X - x0) / N);
+}
+
+/**
+ * The number of steps of size about h that go from x0 to X (whatever the sign of h)
+ * @param {number} x0
+ * @param {number} X
+ * @param {number} h
+ * @returns {number} The number of steps, at least 1 unless X is x0 (NaN if h is 0 and X is not x0)
+ */
+export function stepCount(x0, X, h) {
+	if (X === x0)
+		return 0;
+	return Math.max(1, Math.round(Math.abs((X - x0) / h))) || NaN;
+}
+
+/**
+ * Description of why an integration (or the evaluation of the exact solution) stopped before reaching its end
+ * @typedef {Object} Diagnostic
+ * @property {string} method Name of the method that failed
+ * @property {'singularity'|'non-finite'|'blow-up'|'convergence'|'step-size'|'exact'} reason The kind of the failure
+ * @property {number} x The point at which the failure was detected
+ * @property {State} [y] The last valid value, at the point just before the failure
+ * @property {string} message Human-readable description of the failure
+ */
+
+/**
+ * How a reference solution was computed, standing for an exact solution that is not known
+ * @typedef {Object} Reference
+ * @property {number} N The number of steps of the classical Runge-Kutta method it was computed with
+ * @property {number} accuracy The estimated largest error of the reference over the interval (NaN if it stopped before X)
+ * @property {boolean} converged Whether the accuracy reached the tolerance before the most steps allowed
+ * @property {number} tolerance The accuracy wanted, relative to the size of the solution
+ * @property {Diagnostic} [diagnostic] Why the reference stopped before X, in which case its accuracy is not known
+ */
+
+/** The accuracy wanted of reference solutions, and the most steps to take to reach it, unless told otherwise */
+const referenceOptions = { tolerance: 1e-10, maxSteps: 2 ** 18 };
+
+/**
+ * Identifies the inputs a reference solution is computed for
+ * @param {number} x0
+ * @param {State} y0
+ * @param {number} X
+ * @param {{tolerance?: number, maxSteps?: number}} [options]
+ * @returns {string}
+ */
+function referenceKey(x0, y0, X, options) {
+	return JSON.stringify({ x0, y0, X, ...referenceOptions, ...options });
+}
+
+/**
+ * Evaluates an event function, treating errors as an undefined value
+ * @param {function(number, State): number} g
+ * @param {number} x
+ * @param {State} y
+ * @returns {number} The value, or NaN where it is not defined (so that no event is found there)
+ */
+function evaluateEvent(g, x, y) {
+	try {
+		return g(x, y);
+	} catch (error) {
+		return NaN;
+	}
+}
+
+/**
+ * Formats a coordinate for use in messages
+ * @param {number} x
+ * @returns {string}
+ */
+function format(x) {
+	return String(Number(x.toPrecision(6)));
+}
+
+/**
+ * Error thrown when a numerical method cannot continue the integration
+ */
+export class IntegrationError extends Error {
+	/**
+	 * @param {string} message Description of the failure
+	 * @param {number} x The point at which the method failed
+	 * @param {Diagnostic['reason']} reason The kind of the failure
+	 */
+	constructor(message, x, reason) {
+		super(message);
+		this.name = 'IntegrationError';
+		/** @const */
+		this.x = x;
+		/** @const */
+		this.reason = reason;
+	}
+}
+
+/**
+ * Error thrown when the equation of a step of an implicit method could not be solved
+ */
+export class ConvergenceError extends IntegrationError {
+	/**
+	 * @param {string} message Description of the failure
+	 * @param {number} x The point at which the method failed
+	 */
+	constructor(message, x) {
+		super(message, x, 'convergence');
+		this.name = 'ConvergenceError';
+	}
+}
 
 /**
  * Object containing configuration of numerical methods
  * @typedef {Object} Config
  * @property {number} config.x0 The start of the domain of the function
- * @property {number} config.y0 The value of the solution of the function at [x0]
- * @property {number} config.X The end of the domain of the function
- * @property {number} config.h The step to use for the methods
+ * @property {State} config.y0 The value of the solution of the function at [x0]
+ * @property {number} config.X The end of the domain of the function, which may be before x0 to integrate backwards
+ * @property {number} [config.N] The number of steps of fixed-step methods
+ * @property {number} [config.h] The step to use for the methods when N is not given (the initial step for adaptive methods)
+ * @property {number} [config.atol] The absolute error tolerance of adaptive methods
+ * @property {number} [config.rtol] The relative error tolerance of adaptive methods
+ * @property {jacobian} [config.jacobian] The Jacobian of the derivative, used by implicit methods
+ * @property {number} [config.limit] The integration stops if the solution grows larger than this (1e12 by default)
+ * @property {EventFunction[]} [config.events] The events to look for during the integration
+ * @property {boolean} [config.trace] Whether to record what each step does, in `steps` (to show it step by step)
+ */
+/**
+ * A condition g(x, y) = 0 looked for during the integration, such as the solution reaching a value
+ * @typedef {Object} EventFunction
+ * @property {string} name Identifies the event in the results, usually the text of g
+ * @property {function(number, State): number} g The event function, which changes sign where the event happens
+ * @property {boolean} [terminal] Whether the integration stops at the first occurrence, instead of only recording it
+ * @property {number} [direction] Only crossings where g goes up (1) or down (-1) along the integration count, both if 0 (the default)
+ */
+/**
+ * A point where an event happened
+ * @typedef {Object} EventOccurrence
+ * @property {string} name The name of the event
+ * @property {number} x
+ * @property {State} y
+ * @property {boolean} terminal Whether the integration stopped there
  */
 /**
  * Wrapper for a point with x-y coordinates
  * @typedef {Object} point
  * @property {number} x The value of the x-coordinate
- * @property {number} y The value of the y-coordinate
+ * @property {State} y The value of the y-coordinate (a vector for systems of equations)
+ * @property {number} [h] The size of the step that led to this point (only set by adaptive methods)
+ */
+/**
+ * The result of running a method: the points it computed (it is an array of them), which can also be evaluated
+ * anywhere from the first to the last one. Within a step, the continuous extension of the method is used if it has one,
+ * or else the cubic Hermite interpolant of the values and slopes at both ends of the step
+ * @extends {Array<point>}
+ */
+export class Solution extends Array {
+	/**
+	 * @param {point[]} [points] The points computed by the method, in the order they were computed
+	 * @param {derivative} [slope] y'(x, y), evaluated at the points (only when needed) for the Hermite interpolation
+	 * @param {Array<function(number): State>} [extensions] The continuous extension of the step starting at each point,
+	 *   for the methods that have one
+	 */
+	constructor(points = [], slope = null, extensions = []) {
+		super();
+		for (const point of points)
+			this.push(point);
+		/** @private */
+		this._slope = slope;
+		/**
+		 * @private
+		 * @type {State[]} The slopes at the points, once evaluated
+		 */
+		this._slopes = [];
+		/** @type {Array<function(number): State>} */
+		this.extensions = extensions;
+	}
+
+	/** The arrays derived from a solution (by `map`, `filter`, `slice`, ...) are plain arrays */
+	static get [Symbol.species]() {
+		return Array;
+	}
+
+	/**
+	 * Whether the solution can be evaluated at a point, which is between its first and last points
+	 * @param {number} x
+	 * @returns {boolean}
+	 */
+	contains(x) {
+		return this.length > 0 && (x - this[0].x) * (x - this[this.length - 1].x) <= 0;
+	}
+
+	/**
+	 * Evaluates the solution at a point
+	 * @param {number} x A point between the first and last points, which may be in either order
+	 * @returns {State}
+	 * @throws {RangeError} If the point is outside of the solution
+	 */
+	evaluate(x) {
+		if (!this.contains(x))
+			throw new RangeError(this.length
+				? `x = ${format(x)} is outside of the solution, which goes from ${format(this[0].x)} to ${format(this[this.length - 1].x)}`
+				: 'The solution is empty');
+		// Binary search for the step containing x, whichever the direction of the integration
+		const direction = this[this.length - 1].x < this[0].x ? -1 : 1;
+		let low = 0, high = this.length - 1;
+		while (high - low > 1) {
+			const middle = Math.floor((low + high) / 2);
+			if (direction * (this[middle].x - x) <= 0)
+				low = middle;
+			else
+				high = middle;
+		}
+		const start = this[low], end = this[high];
+		if (x === start.x)
+			return start.y;
+		if (x === end.x)
+			return end.y;
+		if (this.extensions[low])
+			return this.extensions[low](x);
+		return hermite(start.x, start.y, this.slopeAt(low), end.x, end.y, this.slopeAt(high), x);
+	}
+
+	/**
+	 * The slope y'(x, y) at one of the points, evaluating it only the first time it is needed
+	 * @param {number} index The index of the point
+	 * @returns {State}
+	 */
+	slopeAt(index) {
+		if (!(index in this._slopes)) {
+			const { x, y } = this[index];
+			this._slopes[index] = this._slope(x, y);
+		}
+		return this._slopes[index];
+	}
+}
+
+/**
+ * A point computed by a method, remembered for the following steps along with the derivative at it (once evaluated)
+ * @typedef {Object} HistoryEntry
+ * @property {number} x The value of the x-coordinate
+ * @property {State} y The value of the y-coordinate
+ * @property {State} [f] The value of y'(x, y), only set after it is first needed
+ */
+
+/**
+ * A value of the derivative used by a step: one of the stages of a Runge-Kutta method,
+ * an iterate of an implicit method or a slope a multistep method takes from an earlier step
+ * @typedef {Object} Stage
+ * @property {number} x
+ * @property {State} y
+ * @property {State} slope The value of y'(x, y)
+ * @property {boolean} reused Whether the slope was evaluated by an earlier step
+ */
+
+/**
+ * What a method did in one step
+ * @typedef {Object} StepTrace
+ * @property {number} x The point the step started from
+ * @property {State} y The value at that point
+ * @property {number} h The size of the step
+ * @property {Stage[]} stages The values of the derivative the step used, in the order it used them
+ * @property {point} next The point the step reached
  */
 
 /**
@@ -88,7 +606,7 @@ export class DifferentialFunction {
  * @extends Function To make it callable
  */
 export class NumericalMethod extends Function {
-	x0; y0; X; h; df; // To silence some errors due to using self
+	x0; y0; X; N; h; df; limit; events; trace; _derivative; // To silence some errors due to using self
 	/**
 	 * Initializes the function with the given values
 	 * @param {derivative} df The expression in terms of both x and y
@@ -101,11 +619,40 @@ export class NumericalMethod extends Function {
 		super('...args', 'return this.__self__.__call__(...args)');
 		/** @alias NumericalMethod# */
 		let self = this.bind(this);
-		self.df = df;
+		/** Number of times the derivative was evaluated in the last run */
+		self.evaluations = 0;
+		/**
+		 * Why the last run stopped before reaching X, or `null` if it did not
+		 * @type {Diagnostic}
+		 */
+		self.diagnostic = null;
+		/**
+		 * The events found in the last run, in the order they happened
+		 * @type {EventOccurrence[]}
+		 */
+		self.occurrences = [];
+		/**
+		 * What each step of the last run did, if it was asked to record it (`trace` in the config)
+		 * @type {StepTrace[]}
+		 */
+		self.steps = [];
+		self.limit = (config && config.limit) || 1e12;
+		self.events = (config && config.events) || [];
+		self.trace = (config && config.trace) || false;
+		self.df = (x, y) => {
+			self.evaluations++;
+			return df(x, y);
+		};
+		/**
+		 * @private
+		 * The derivative without counting its evaluations, used by the solutions for interpolation
+		 */
+		self._derivative = df;
 		if (config) {
 			self.x0 = config.x0;
 			self.y0 = config.y0;
 			self.X = config.X;
+			self.N = config.N;
 			self.h = config.h;
 		}
 		this.__self__ = self;
@@ -114,98 +661,780 @@ export class NumericalMethod extends Function {
 
 	/**
 	 * Makes the object callable. Should perform the calculation according to config object.
+	 * The methods take N equal steps from x0 to X, giving N + 1 points with the last one exactly at X,
+	 * unless a terminal event stops them earlier (in which case the last point is that of the event)
 	 * @param {Config} [config] Override configuration passed in constructor
-	 * @returns {point[]} The result of taking a step in the numerical method, as implemented in `step` method
+	 * @returns {Solution} The result of taking a step in the numerical method, as implemented in `step` method
 	 */
 	__call__(config) {
-		let { x0, y0, X, h } = {
+		const { x0, y0, X, limit, events, trace } = {
 			x0: this.x0,
 			y0: this.y0,
 			X: this.X,
-			h: this.h,
+			limit: this.limit,
+			events: this.events,
+			trace: this.trace,
 			...config,
 		};
+		// A step size given here takes precedence over the number of steps given to the constructor
+		const { N: steps, h } = config || {};
+		let N = steps;
+		if (N === undefined)
+			N = h === undefined && this.N !== undefined ? this.N : stepCount(x0, X, h === undefined ? this.h : h);
 
-		if (h == 0)
-			return [];
+		this.evaluations = 0;
+		this.diagnostic = null;
+		this.occurrences = [];
+		this.steps = [];
+		if (!Number.isFinite(N))
+			return new Solution();
+		if (!Number.isInteger(N) || N < 1)
+			throw new RangeError(`The number of steps must be a whole number of at least 1, got ${N}`);
 
+		const xs = stepGrid(x0, X, N);
 		/** @type {point[]} */
 		let data = [];
-		while (x0 <= X) {
-			data.push({ x: x0, y: y0 });
-			({ x: x0, y: y0 } = this.step(x0, y0, h));
+		/** @type {HistoryEntry[]} */
+		let history = [];
+		let y = y0;
+		try {
+			for (let n = 0; n <= N; n++) {
+				this.check(xs[n], y, limit, data[data.length - 1]);
+				/** @type {HistoryEntry} */
+				const entry = { x: xs[n], y };
+				const stop = n > 0 && this.recordEvents(events, history[history.length - 1], entry);
+				if (stop) {
+					data.push({ x: stop.x, y: stop.y });
+					break;
+				}
+				data.push({ x: xs[n], y });
+				history.push(entry);
+				if (n < N)
+					({ y } = (trace ? this.traceStep : this.step).call(this, xs[n], y, xs[n + 1] - xs[n], history));
+			}
+		} catch (error) {
+			if (!(error instanceof IntegrationError))
+				throw error;
+			// Stop cleanly, keeping the points computed before the failure
+			this.diagnostic = this.diagnose(error, data[data.length - 1]);
+		}
+		return new Solution(data, this._derivative);
+	}
+
+	/**
+	 * Checks that a newly computed point can be used, or else finds out why it cannot
+	 * @param {number} x x-coordinate of the new point
+	 * @param {State} y y-coordinate of the new point
+	 * @param {number} limit The largest allowed magnitude of y
+	 * @param {point} [previous] The point from which the new one was computed
+	 * @throws {IntegrationError} If y is not finite or too large
+	 */
+	check(x, y, limit, previous) {
+		if (!components(y).every(Number.isFinite)) {
+			if (previous && !components(this.df(previous.x, previous.y)).every(Number.isFinite))
+				throw new IntegrationError(`y' is not finite at x = ${format(previous.x)}, the equation is singular there`, previous.x, 'singularity');
+			throw new IntegrationError(`The solution became ${components(y).find(yi => !Number.isFinite(yi))} at x = ${format(x)}`, x, 'non-finite');
+		}
+		if (norm(y) > limit)
+			throw new IntegrationError(`The solution grew beyond ${limit.toExponential()} at x = ${format(x)}, it seems to blow up`, x, 'blow-up');
+	}
+
+	/**
+	 * Describes a failure of the integration
+	 * @param {IntegrationError} error The cause of the failure
+	 * @param {point} [last] The last valid point
+	 * @returns {Diagnostic}
+	 */
+	diagnose(error, last) {
+		return {
+			method: this.constructor.name || 'Custom method',
+			reason: error.reason,
+			x: error.x,
+			y: last && last.y,
+			message: error.message,
+		};
+	}
+
+	/**
+	 * Looks for the events that happened within a step, recording them in `occurrences`.
+	 * They are located by finding the root of g along the continuous extension of the step if there is one,
+	 * or else along the cubic Hermite interpolant of the step, which needs the slopes at both ends (only evaluated if
+	 * an event is found)
+	 * @param {EventFunction[]} events
+	 * @param {HistoryEntry} start The point the step started from
+	 * @param {HistoryEntry} end The point the step reached
+	 * @param {function(number): State} [extension] The continuous extension of the step
+	 * @returns {?EventOccurrence} The terminal event the integration has to stop at, if one happened
+	 */
+	recordEvents(events, start, end, extension) {
+		/** @type {EventOccurrence[]} */
+		const found = [];
+		const direction = Math.sign(end.x - start.x);
+		for (const { name, g, terminal = false, direction: wanted = 0 } of events) {
+			const g0 = evaluateEvent(g, start.x, start.y), g1 = evaluateEvent(g, end.x, end.y);
+			// Starting exactly on the event does not count, it happened at the end of the step before
+			const up = g0 < 0 && g1 >= 0, down = g0 > 0 && g1 <= 0;
+			if (!(wanted > 0 ? up : wanted < 0 ? down : up || down))
+				continue;
+			const interpolate = extension || ((/** @type {number} */ x) =>
+				hermite(start.x, start.y, this.slopeAt(start), end.x, end.y, this.slopeAt(end), x));
+			const x = findRoot(x => evaluateEvent(g, x, interpolate(x)), start.x, end.x, g0, g1);
+			found.push({ name, x, y: interpolate(x), terminal });
 		}
-		return data;
+		found.sort((a, b) => direction * (a.x - b.x));
+		// The events after a terminal one do not happen
+		const stop = found.find(({ terminal }) => terminal);
+		this.occurrences.push(...(stop ? found.slice(0, found.indexOf(stop) + 1) : found));
+		return stop || null;
 	}
 
 	/**
 	 * Represents taking one step of the approximation method
 	 * @param {number} x x-coordinate of the given point
-	 * @param {number} y y-coordinate of the given point
+	 * @param {State} y y-coordinate of the given point
+	 * @param {number} h step to move [x] by
+	 * @param {HistoryEntry[]} [history] The points computed so far, ending with the given one (used by multistep methods)
+	 * @returns {point} An object containing the next values of x and y
+	 */
+	step(x, y, h, history) { throw new TypeError('Step function not implemented!'); }
+
+	/**
+	 * Takes one step as `step` does, recording in `steps` every value of the derivative it used
+	 * @param {number} x x-coordinate of the given point
+	 * @param {State} y y-coordinate of the given point
+	 * @param {number} h step to move [x] by
+	 * @param {HistoryEntry[]} [history] The points computed so far, ending with the given one
+	 * @returns {point} An object containing the next values of x and y
+	 */
+	traceStep(x, y, h, history) {
+		const { df, slopeAt } = this;
+		/** @type {Stage[]} */
+		const stages = [];
+		this.df = (xi, yi) => {
+			const slope = df(xi, yi);
+			stages.push({ x: xi, y: yi, slope, reused: false });
+			return slope;
+		};
+		// The slopes evaluated by earlier steps are recorded when they are used, the new ones when they are evaluated
+		this.slopeAt = (entry) => {
+			const reused = 'f' in entry;
+			const slope = slopeAt.call(this, entry);
+			if (reused)
+				stages.push({ x: entry.x, y: entry.y, slope, reused });
+			return slope;
+		};
+		try {
+			const next = this.step(x, y, h, history);
+			this.steps.push({ x, y, h, stages, next });
+			return next;
+		} finally {
+			this.df = df;
+			delete this.slopeAt;
+		}
+	}
+
+	/**
+	 * The nominal order of accuracy p of the method, so that its global error behaves as $ O(h^p) $
+	 * @returns {number}
+	 */
+	get order() {
+		return NaN;
+	}
+
+	/**
+	 * Gets the derivative at a point of the history, evaluating it only the first time it is needed
+	 * @param {HistoryEntry} entry The point
+	 * @returns {State} y'(x, y) at the point
+	 */
+	slopeAt(entry) {
+		if (!('f' in entry))
+			entry.f = this.df(entry.x, entry.y);
+		return entry.f;
+	}
+}
+
+/**
+ * The coefficients defining an explicit Runge-Kutta method with s stages:
+ * $ k_i = f(x + c_i h, y + h Σ_j a_ij k_j) $ and $ y_{n+1} = y_n + h Σ_i b_i k_i $
+ */
+export class ButcherTableau {
+	/**
+	 * @param {number[][]} a The weights of the previous stages in each stage (row i may omit the zeros from column i on)
+	 * @param {number[]} b The weights of the stages in the final combination
+	 * @param {number[]} [c] The nodes (defaults to the row sums of [a])
+	 * @param {string} [name] Name of the method, used for display
+	 */
+	constructor(a, b, c = a.map(row => row.reduce((sum, aij) => sum + aij, 0)), name = 'Custom') {
+		/** @const */ this.a = a;
+		/** @const */ this.b = b;
+		/** @const */ this.c = c;
+		/** @const */ this.name = name;
+	}
+
+	/** @returns {number} The number of stages */
+	get stages() {
+		return this.b.length;
+	}
+
+	/**
+	 * Checks that the tableau defines a valid explicit method
+	 * @returns {ButcherTableau} The same tableau, to allow chaining
+	 * @throws {RangeError} Describing the first problem found
+	 */
+	validate() {
+		const { a, b, c, stages } = this;
+		const close = (/** @type {number} */ u, /** @type {number} */ v) => Math.abs(u - v) <= 1e-12 * Math.max(1, Math.abs(v));
+		if (!stages)
+			throw new RangeError('The tableau has no stages');
+		if (a.length !== stages || c.length !== stages)
+			throw new RangeError(`The tableau has ${a.length} rows of a, ${stages} weights b and ${c.length} nodes c, they must all be equal`);
+		if (![...b, ...c, ...[].concat(...a)].every(Number.isFinite))
+			throw new RangeError('All coefficients must be finite numbers');
+		a.forEach((row, i) => {
+			if (row.length > stages)
+				throw new RangeError(`Row ${i + 1} of a has ${row.length} entries, but there are only ${stages} stages`);
+			if (row.slice(i).some(aij => aij !== 0))
+				throw new RangeError(`Row ${i + 1} of a has non-zero entries on or above the diagonal, so the method is not explicit`);
+			const sum = row.reduce((total, aij) => total + aij, 0);
+			if (!close(sum, c[i]))
+				throw new RangeError(`Row ${i + 1} of a sums to ${sum}, but its node c is ${c[i]}`);
+		});
+		const total = b.reduce((sum, bi) => sum + bi, 0);
+		if (!close(total, 1))
+			throw new RangeError(`The weights b sum to ${total} instead of 1, so the method is not consistent`);
+		return this;
+	}
+
+	/**
+	 * The order of accuracy of the method, found by checking the order conditions up to order 4
+	 * @returns {number} The order (4 means at least 4)
+	 */
+	get order() {
+		const { a, b, c, stages } = this;
+		const range = [...Array(stages).keys()];
+		const A = range.map(i => range.map(j => a[i][j] || 0));
+		/** @param {number[]} v */
+		const dot = (v) => range.reduce((sum, i) => sum + b[i] * v[i], 0);
+		/** @param {number[]} v */
+		const times = (v) => range.map(i => range.reduce((sum, j) => sum + A[i][j] * v[j], 0));
+		const power = (/** @type {number} */ p) => c.map(ci => ci ** p);
+		const conditions = [
+			[[dot(power(0)), 1]],
+			[[dot(c), 1 / 2]],
+			[[dot(power(2)), 1 / 3], [dot(times(c)), 1 / 6]],
+			[[dot(power(3)), 1 / 4], [dot(c.map((ci, i) => ci * times(c)[i])), 1 / 8], [dot(times(power(2))), 1 / 12], [dot(times(times(c))), 1 / 24]],
+		];
+		const order = conditions.findIndex(group => group.some(([value, expected]) => Math.abs(value - expected) > 1e-10));
+		return order === -1 ? conditions.length : order;
+	}
+}
+
+/**
+ * Built-in library of Butcher tableaus of explicit Runge-Kutta methods
+ * @type {Object<string, ButcherTableau>}
+ */
+export const tableaus = {
+	euler: new ButcherTableau([[]], [1], [0], 'Euler'),
+	heun: new ButcherTableau([[], [1]], [1 / 2, 1 / 2], [0, 1], 'Heun (Improved Euler)'),
+	midpoint: new ButcherTableau([[], [1 / 2]], [0, 1], [0, 1 / 2], 'Midpoint'),
+	ralston: new ButcherTableau([[], [2 / 3]], [1 / 4, 3 / 4], [0, 2 / 3], 'Ralston'),
+	rk3: new ButcherTableau([[], [1 / 2], [-1, 2]], [1 / 6, 2 / 3, 1 / 6], [0, 1 / 2, 1], 'Kutta\'s third order'),
+	rk4: new ButcherTableau(
+		[[], [1 / 2], [0, 1 / 2], [0, 0, 1]],
+		[1 / 6, 1 / 3, 1 / 3, 1 / 6],
+		[0, 1 / 2, 1 / 2, 1],
+		'Classical Runge-Kutta'),
+	threeEighths: new ButcherTableau(
+		[[], [1 / 3], [-1 / 3, 1], [1, -1, 1]],
+		[1 / 8, 3 / 8, 3 / 8, 1 / 8],
+		[0, 1 / 3, 2 / 3, 1],
+		'3/8-rule'),
+};
+
+/**
+ * Takes one step of an explicit Runge-Kutta method
+ * @param {derivative} df The expression y'(x, y)
+ * @param {ButcherTableau} tableau The coefficients of the method
+ * @param {number} x x-coordinate of the given point
+ * @param {State} y y-coordinate of the given point
+ * @param {number} h step to move [x] by
+ * @param {State} [slope] The derivative at (x, y) if it is already known, which is then the first stage
+ * @returns {point} An object containing the next values of x and y
+ */
+function explicitStep(df, { a, b, c }, x, y, h, slope) {
+	/** @type {State[]} */
+	const k = slope === undefined ? [] : [slope];
+	for (let i = k.length; i < b.length; i++)
+		k.push(df(x + c[i] * h, combine(y, h, a[i], k)));
+	return {
+		y: combine(y, h, b, k),
+		x: x + h,
+	};
+}
+
+/**
+ * Explicit Runge-Kutta method defined by its Butcher tableau
+ * @abstract
+ */
+export class ExplicitRungeKutta extends NumericalMethod {
+	/**
+	 * The coefficients of the method
+	 * @returns {ButcherTableau}
+	 */
+	get tableau() {
+		throw new TypeError('Tableau not specified!');
+	}
+
+	get order() {
+		return this.tableau.order;
+	}
+
+	/**
+	 * Creates the class of the method with the given tableau
+	 * @param {ButcherTableau} tableau The coefficients of the method
+	 * @returns {typeof ExplicitRungeKutta}
+	 * @throws {RangeError} If the tableau is not valid
+	 */
+	static fromTableau(tableau) {
+		tableau.validate();
+		return class extends ExplicitRungeKutta {
+			get tableau() {
+				return tableau;
+			}
+		};
+	}
+
+	/**
+	 * Represents taking one step of the method, going through all the stages of its tableau
+	 * @param {number} x x-coordinate of the given point
+	 * @param {State} y y-coordinate of the given point
 	 * @param {number} h step to move [x] by
 	 * @returns {point} An object containing the next values of x and y
 	 */
-	step(x, y, h) { throw new TypeError('Step function not implemented!'); }
+	step(x, y, h) {
+		return explicitStep(this.df, this.tableau, x, y, h);
+	}
 }
 
 /**
  * Implementation of Euler method
  */
-export class Euler extends NumericalMethod {
+export class Euler extends ExplicitRungeKutta {
+	get tableau() {
+		return tableaus.euler;
+	}
+}
+
+/**
+ * Implementation of Improved-Euler method
+ */
+export class ImprovedEuler extends ExplicitRungeKutta {
+	get tableau() {
+		return tableaus.heun;
+	}
+}
+
+/**
+ * Implementation of Runge-Kutta method
+ */
+export class RungeKutta extends ExplicitRungeKutta {
+	get tableau() {
+		return tableaus.rk4;
+	}
+}
+
+/**
+ * Implementation of the Dormand-Prince 5(4) method with adaptive step size.
+ * Each step is computed by a 5th order formula, while an embedded 4th order one estimates its error,
+ * which is used to reject inaccurate steps and to choose the size of the next step.
+ */
+export class DormandPrince extends NumericalMethod {
+	/**
+	 * Initializes the method with the given tolerances
+	 * @param {derivative} df The expression in terms of both x and y
+	 * @param {Config} [config] The default config to apply if not provided otherwise
+	 */
+	constructor(df, config) {
+		super(df, config);
+		const { atol = 1e-6, rtol = 1e-6 } = config || {};
+		this.atol = atol;
+		this.rtol = rtol;
+		/** Number of steps that passed the error check in the last run */
+		this.accepted = 0;
+		/** Number of steps that failed the error check (and were retried with a smaller step) in the last run */
+		this.rejected = 0;
+	}
+
+	/**
+	 * Performs the calculation according to config object, adapting the step size to the tolerances
+	 * @param {Config} [config] Override configuration passed in constructor
+	 * @returns {Solution} The accepted points, each also holding the (signed) size `h` of the step that led to it,
+	 *   evaluated between them by the continuous extension of the method
+	 */
+	__call__(config) {
+		let { x0, y0, X, N, h, atol, rtol, limit, events } = {
+			x0: this.x0,
+			y0: this.y0,
+			X: this.X,
+			N: this.N,
+			h: this.h,
+			atol: this.atol,
+			rtol: this.rtol,
+			limit: this.limit,
+			events: this.events,
+			...config,
+		};
+		this.accepted = 0;
+		this.rejected = 0;
+		this.evaluations = 0;
+		this.diagnostic = null;
+		this.occurrences = [];
+
+		// Without an initial step size, the one of the fixed-step methods is used
+		if (h === undefined && N)
+			h = (X - x0) / N;
+		if (!h)
+			return new Solution();
+
+		/** @type {point[]} */
+		let data = [{ x: x0, y: y0, h: 0 }];
+		/** @type {Array<function(number): State>} The continuous extension of each accepted step */
+		const extensions = [];
+		let x = x0, y = y0;
+		// Integrating backwards, the steps are negative
+		const direction = X < x0 ? -1 : 1;
+		h = direction * Math.abs(h);
+		try {
+			while (direction * (X - x) > 0) {
+				const last = direction * (x + h - X) >= 0;
+				if (last)
+					h = X - x;
+				const { y: next, error, k } = this.step(x, y, h);
+				// The largest error relative to the tolerance among all components
+				const current = components(y), following = components(next);
+				const ratio = norm(components(error).map((ei, i) =>
+					ei / (atol + rtol * Math.max(Math.abs(current[i]), Math.abs(following[i])))));
+
+				if (ratio <= 1) {
+					this.check(last ? X : x + h, next, limit);
+					this.accepted++;
+					const extension = DormandPrince.extension(x, y, h, next, k);
+					extensions.push(extension);
+					const stop = this.recordEvents(events, { x, y }, { x: last ? X : x + h, y: next }, extension);
+					if (stop) {
+						data.push({ x: stop.x, y: stop.y, h: stop.x - x });
+						break;
+					}
+					x = last ? X : x + h;
+					y = next;
+					data.push({ x, y, h });
+					// The last step is usually shorter than the others, there is no step size to choose after it
+					if (last)
+						break;
+				} else {
+					// Also reached when the error is not even a number, in which case the step is shrunk as much as possible
+					this.rejected++;
+				}
+
+				// Standard step size controller, with a safety factor and limits on how fast the step may change
+				const factor = ratio === 0 ? 5 : 0.9 * ratio ** (-1 / 5);
+				h *= Number.isNaN(ratio) ? 0.2 : Math.min(ratio <= 1 ? 5 : 1, Math.max(0.2, factor));
+				if (Math.abs(h) < 1e-12 * Math.max(1, Math.abs(x))) {
+					if (!components(this.df(x, y)).every(Number.isFinite))
+						throw new IntegrationError(`y' is not finite at x = ${format(x)}, the equation is singular there`, x, 'singularity');
+					throw new IntegrationError(`The step size became too small at x = ${format(x)}, the solution may have a singularity there`, x, 'step-size');
+				}
+			}
+		} catch (error) {
+			if (!(error instanceof IntegrationError))
+				throw error;
+			this.diagnostic = this.diagnose(error, data[data.length - 1]);
+		}
+		return new Solution(data, this._derivative, extensions);
+	}
+
+	get order() {
+		return 5;
+	}
+
+	/**
+	 * The continuous extension of a step, a polynomial of degree 4 through both of its ends
+	 * (the dense output of Hairer, Nørsett and Wanner's DOPRI5)
+	 * @param {number} x The start of the step
+	 * @param {State} y The value at x
+	 * @param {number} h The size of the step
+	 * @param {State} next The value at x + h
+	 * @param {State[]} k The stages of the step, the last of which is the slope at x + h
+	 * @returns {function(number): State} The approximation at points of the step
+	 */
+	static extension(x, y, h, next, k) {
+		const difference = subtract(next, y);
+		const start = subtract(scale(k[0], h), difference);
+		const end = subtract(subtract(difference, scale(k[6], h)), start);
+		const middle = combine(scale(y, 0), h, DormandPrince.coefficients.d, k);
+		// y + t (difference + (1 - t) (start + t (end + (1 - t) middle))), with t the fraction of the step
+		return (xi) => {
+			const t = (xi - x) / h, s = 1 - t;
+			return add(y, scale(add(difference, scale(add(start, scale(add(end, scale(middle, s)), t)), s)), t));
+		};
+	}
+
+	/**
+	 * Represents taking one step of the Dormand-Prince method
+	 * @param {number} x x-coordinate of the given point
+	 * @param {State} y y-coordinate of the given point
+	 * @param {number} h step to move [x] by
+	 * @returns {point & {error: State, k: State[]}} The next values of x and y, along with the estimated error of y
+	 *   and the stages (used by the continuous extension)
+	 */
+	step(x, y, h) {
+		const { c, a, b, e } = DormandPrince.coefficients;
+		/** @type {State[]} */
+		const k = [];
+		for (let i = 0; i < c.length; i++)
+			k.push(this.df(x + c[i] * h, combine(y, h, a[i], k)));
+		return {
+			y: combine(y, h, b, k),
+			x: x + h,
+			error: combine(scale(y, 0), h, e, k),
+			k,
+		};
+	}
+}
+
+/**
+ * Coefficients of the Dormand-Prince method: nodes `c`, stage weights `a`, 5th order weights `b`, the error weights `e`
+ * and the weights `d` of the continuous extension
+ */
+DormandPrince.coefficients = {
+	c: [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1],
+	a: [
+		[],
+		[1 / 5],
+		[3 / 40, 9 / 40],
+		[44 / 45, -56 / 15, 32 / 9],
+		[19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+		[9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+		[35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84],
+	],
+	b: [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0],
+	e: [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40],
+	d: [
+		-12715105075 / 11282082432, 0, 87487479700 / 32700410799, -10690763975 / 1880347072,
+		701980252875 / 199316789632, -1453857185 / 822651844, 69997945 / 29380423,
+	],
+};
+
+/**
+ * Base of implicit methods, each step of which requires solving an equation of the form $ Y = c + γh f(x, Y) $ for Y.
+ * The equation is solved by Newton iteration, using the Jacobian from the config if given, or else a numerical one
+ * @abstract
+ */
+export class ImplicitMethod extends NumericalMethod {
 	/**
-	 * Represents taking one step of the Euler method
+	 * Initializes the function with the given values
+	 * @param {derivative} df The expression in terms of both x and y
+	 * @param {Config} [config] The default config to apply if not provided otherwise
+	 */
+	constructor(df, config) {
+		if (new.target === ImplicitMethod) throw new TypeError('Cannot instantiate abstract class!');
+		super(df, config);
+		this.jacobian = (config && config.jacobian) || null;
+	}
+
+	/**
+	 * Solves the equation $ Y = c + γh f(x, Y) $ for Y
+	 * @param {number} x The point at which the derivative is evaluated
+	 * @param {State} c The known part of the equation
+	 * @param {number} gh The factor γh in front of the derivative
+	 * @param {State} guess The initial guess of Newton's method
+	 * @returns {State} The solution Y
+	 * @throws {ConvergenceError} If Newton's method did not converge
+	 */
+	solveImplicit(x, c, gh, guess) {
+		const G = (/** @type {State} */ Y) => subtract(subtract(Y, c), scale(this.df(x, Y), gh));
+		const jacobian = this.jacobian && ((/** @type {State} */ Y) => {
+			const J = this.jacobian(x, Y);
+			if (typeof J === 'number')
+				return 1 - gh * J;
+			return J.map((row, i) => row.map((Jij, j) => (i === j ? 1 : 0) - gh * Jij));
+		});
+		const { root, iterations, converged } = newton(G, guess, { jacobian });
+		if (!converged)
+			throw new ConvergenceError(`Newton iteration did not converge at x = ${format(x)} after ${iterations} iterations`, x);
+		return root;
+	}
+}
+
+/**
+ * Implementation of the Backward (implicit) Euler method
+ */
+export class BackwardEuler extends ImplicitMethod {
+	get order() {
+		return 1;
+	}
+
+	/**
+	 * Represents taking one step of the Backward Euler method: $ y_{n+1} = y_n + h f(x_{n+1}, y_{n+1}) $
 	 * @param {number} x x-coordinate of the given point
-	 * @param {number} y y-coordinate of the given point
+	 * @param {State} y y-coordinate of the given point
 	 * @param {number} h step to move [x] by
 	 * @returns {point} An object containing the next values of x and y
 	 */
 	step(x, y, h) {
 		return {
-			y: y + h * this.df(x, y),
+			y: this.solveImplicit(x + h, y, h, y),
 			x: x + h,
 		};
 	}
 }
 
 /**
- * Implementation of Improved-Euler method
+ * Implementation of the implicit trapezoidal method
  */
-export class ImprovedEuler extends NumericalMethod {
+export class ImplicitTrapezoidal extends ImplicitMethod {
+	get order() {
+		return 2;
+	}
+
 	/**
-	 * Represents taking one step of the Improved-Euler method
+	 * Represents taking one step of the trapezoidal method: $ y_{n+1} = y_n + h/2 (f(x_n, y_n) + f(x_{n+1}, y_{n+1})) $
 	 * @param {number} x x-coordinate of the given point
-	 * @param {number} y y-coordinate of the given point
+	 * @param {State} y y-coordinate of the given point
 	 * @param {number} h step to move [x] by
 	 * @returns {point} An object containing the next values of x and y
 	 */
 	step(x, y, h) {
-		const k1 = this.df(x, y);
-		const k2 = this.df(x + h, y + h * k1);
+		const c = combine(y, h / 2, [1], [this.df(x, y)]);
 		return {
-			y: y + (h / 2) * (k1 + k2),
+			y: this.solveImplicit(x + h, c, h / 2, y),
 			x: x + h,
 		};
 	}
 }
 
 /**
- * Implementation of Runge-Kutta method
+ * Implementation of the 2-step Backward Differentiation Formula.
+ * The first step, which has no previous point to use, is taken with the Backward Euler method
  */
-export class RungeKutta extends NumericalMethod {
+export class BDF2 extends ImplicitMethod {
+	get order() {
+		return 2;
+	}
+
 	/**
-	 * Represents taking one step of the Runge-Kutta method
+	 * Represents taking one step of BDF2: $ y_{n+1} = 4/3 y_n - 1/3 y_{n-1} + 2/3 h f(x_{n+1}, y_{n+1}) $
 	 * @param {number} x x-coordinate of the given point
-	 * @param {number} y y-coordinate of the given point
+	 * @param {State} y y-coordinate of the given point
 	 * @param {number} h step to move [x] by
+	 * @param {HistoryEntry[]} history The points computed so far, ending with the given one
 	 * @returns {point} An object containing the next values of x and y
 	 */
-	step(x, y, h) {
-		const k1 = h * this.df(x, y);
-		const k2 = h * this.df(x + h / 2, y + k1 / 2);
-		const k3 = h * this.df(x + h / 2, y + k2 / 2);
-		const k4 = h * this.df(x + h, y + k3);
+	step(x, y, h, history) {
+		if (history.length < 2)
+			return BackwardEuler.prototype.step.call(this, x, y, h);
+		const previous = history[history.length - 2].y;
+		const c = add(scale(y, 4 / 3), scale(previous, -1 / 3));
+		return {
+			y: this.solveImplicit(x + h, c, 2 * h / 3, y),
+			x: x + h,
+		};
+	}
+}
+
+/**
+ * Base of the explicit Adams-Bashforth methods, which extrapolate the derivatives at the last few points:
+ * $ y_{n+1} = y_n + h (β_0 f_n + β_1 f_{n-1} + ...) $.
+ * Each step needs a single new evaluation of the derivative, since the previous ones are remembered.
+ * Until enough points are available, the steps are taken with the Runge-Kutta method
+ * @abstract
+ */
+export class AdamsBashforth extends NumericalMethod {
+	/**
+	 * The weights β of the derivatives, starting from the most recent one
+	 * @returns {number[]}
+	 */
+	get coefficients() {
+		throw new TypeError('Coefficients not specified!');
+	}
+
+	/**
+	 * A k-step Adams-Bashforth method is of order k
+	 * @returns {number}
+	 */
+	get order() {
+		return this.coefficients.length;
+	}
+
+	/**
+	 * Represents taking one step of the Adams-Bashforth method
+	 * @param {number} x x-coordinate of the given point
+	 * @param {State} y y-coordinate of the given point
+	 * @param {number} h step to move [x] by
+	 * @param {HistoryEntry[]} history The points computed so far, ending with the given one
+	 * @returns {point} An object containing the next values of x and y
+	 */
+	step(x, y, h, history) {
+		const coefficients = this.coefficients;
+		// The slope at the given point is kept in the history, where the first steps of the method use it again
+		if (history.length < coefficients.length)
+			return explicitStep(this.df, tableaus.rk4, x, y, h, this.slopeAt(history[history.length - 1]));
+		const slopes = coefficients.map((_, i) => this.slopeAt(history[history.length - 1 - i]));
+		return {
+			y: combine(y, h, coefficients, slopes),
+			x: x + h,
+		};
+	}
+}
+
+/**
+ * Implementation of the 2-step Adams-Bashforth method
+ */
+export class AdamsBashforth2 extends AdamsBashforth {
+	get coefficients() {
+		return [3 / 2, -1 / 2];
+	}
+}
+
+/**
+ * Implementation of the 3-step Adams-Bashforth method
+ */
+export class AdamsBashforth3 extends AdamsBashforth {
+	get coefficients() {
+		return [23 / 12, -16 / 12, 5 / 12];
+	}
+}
+
+/**
+ * Implementation of the 4-step Adams-Bashforth method
+ */
+export class AdamsBashforth4 extends AdamsBashforth {
+	get coefficients() {
+		return [55 / 24, -59 / 24, 37 / 24, -9 / 24];
+	}
+}
+
+/**
+ * Implementation of the Adams-Bashforth-Moulton predictor-corrector method (in PECE mode):
+ * the 4-step Adams-Bashforth method predicts the next point, then the 3-step Adams-Moulton method corrects it
+ * using the derivative at the predicted point
+ */
+export class AdamsBashforthMoulton extends AdamsBashforth4 {
+	/**
+	 * Represents taking one step of the predictor-corrector method
+	 * @param {number} x x-coordinate of the given point
+	 * @param {State} y y-coordinate of the given point
+	 * @param {number} h step to move [x] by
+	 * @param {HistoryEntry[]} history The points computed so far, ending with the given one
+	 * @returns {point} An object containing the next values of x and y
+	 */
+	step(x, y, h, history) {
+		const predicted = super.step(x, y, h, history);
+		if (history.length < this.coefficients.length)
+			return predicted;
+		const slopes = [0, 1, 2].map(i => this.slopeAt(history[history.length - 1 - i]));
 		return {
-			y: y + (1 / 6) * (k1 + 2 * k2 + 2 * k3 + k4),
+			y: combine(y, h, [9 / 24, 19 / 24, -5 / 24, 1 / 24], [this.df(x + h, predicted.y), ...slopes]),
 			x: x + h,
 		};
 	}
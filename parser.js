@@ -0,0 +1,507 @@
+/**
+ * @file Safe parser of mathematical expressions typed by the user.
+ * Expressions are compiled into plain JavaScript closures, so no `eval` or `Function` is involved
+ * @typedef { import('./linalg').State } State
+ */
+
+import { ButcherTableau, DifferentialFunction } from './models.js';
+import { components } from './linalg.js';
+
+/**
+ * Error thrown when an expression cannot be parsed
+ */
+export class ParseError extends Error {
+	/**
+	 * @param {string} message Human-readable description of the problem
+	 * @param {number} position Index of the character in the expression where the problem was found
+	 */
+	constructor(message, position) {
+		super(message);
+		this.name = 'ParseError';
+		/** @const */
+		this.position = position;
+	}
+}
+
+/**
+ * Error thrown when the expressions of an equation are not valid, with the problem of each of them
+ */
+export class EquationError extends Error {
+	/**
+	 * @param {{derivative?: string, exact?: string}} messages Description of the problem with each expression that has one
+	 */
+	constructor(messages) {
+		super(messages.derivative || messages.exact);
+		this.name = 'EquationError';
+		/** @const */
+		this.messages = messages;
+	}
+}
+
+/** Constants that can be used by name inside expressions */
+const constants = {
+	pi: Math.PI,
+	e: Math.E,
+};
+
+/**
+ * Functions that can be called inside expressions, along with the number of arguments they take
+ * (`Infinity` means any number of arguments, but at least one)
+ * @type {Object<string, {fn: function(...number): number, arity: number}>}
+ */
+const functions = {
+	sin: { fn: Math.sin, arity: 1 },
+	cos: { fn: Math.cos, arity: 1 },
+	tan: { fn: Math.tan, arity: 1 },
+	sec: { fn: (x) => 1 / Math.cos(x), arity: 1 },
+	csc: { fn: (x) => 1 / Math.sin(x), arity: 1 },
+	cot: { fn: (x) => 1 / Math.tan(x), arity: 1 },
+	asin: { fn: Math.asin, arity: 1 },
+	acos: { fn: Math.acos, arity: 1 },
+	atan: { fn: Math.atan, arity: 1 },
+	atan2: { fn: Math.atan2, arity: 2 },
+	sinh: { fn: Math.sinh, arity: 1 },
+	cosh: { fn: Math.cosh, arity: 1 },
+	tanh: { fn: Math.tanh, arity: 1 },
+	asinh: { fn: Math.asinh, arity: 1 },
+	acosh: { fn: Math.acosh, arity: 1 },
+	atanh: { fn: Math.atanh, arity: 1 },
+	exp: { fn: Math.exp, arity: 1 },
+	ln: { fn: Math.log, arity: 1 },
+	log: { fn: Math.log, arity: 1 },
+	log10: { fn: Math.log10, arity: 1 },
+	log2: { fn: Math.log2, arity: 1 },
+	sqrt: { fn: Math.sqrt, arity: 1 },
+	cbrt: { fn: Math.cbrt, arity: 1 },
+	abs: { fn: Math.abs, arity: 1 },
+	sign: { fn: Math.sign, arity: 1 },
+	floor: { fn: Math.floor, arity: 1 },
+	ceil: { fn: Math.ceil, arity: 1 },
+	round: { fn: Math.round, arity: 1 },
+	pow: { fn: Math.pow, arity: 2 },
+	min: { fn: Math.min, arity: Infinity },
+	max: { fn: Math.max, arity: Infinity },
+};
+
+/**
+ * A single lexical unit of an expression
+ * @typedef {Object} Token
+ * @property {'number'|'name'|'operator'|'('|')'|','|'end'} type The kind of the token
+ * @property {string} text The characters making up the token
+ * @property {number} position Index of the first character of the token in the expression
+ */
+
+/**
+ * Splits the expression into tokens
+ * @param {string} text The expression to tokenize
+ * @returns {Token[]} The tokens, always terminated by a token of type 'end'
+ */
+function tokenize(text) {
+	/** @type {Token[]} */
+	const tokens = [];
+	const pattern = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|(\*\*|[-+*/^])|([(),]))/y;
+	let position = 0;
+	while (true) {
+		while (position < text.length && /\s/.test(text[position]))
+			position++;
+		if (position >= text.length)
+			break;
+		pattern.lastIndex = position;
+		const match = pattern.exec(text);
+		if (!match)
+			throw new ParseError(`Unexpected character '${text[position]}' at position ${position + 1}`, position);
+		const [, number, name, operator, punctuation] = match;
+		if (number !== undefined)
+			tokens.push({ type: 'number', text: number, position });
+		else if (name !== undefined)
+			tokens.push({ type: 'name', text: name, position });
+		else if (operator !== undefined)
+			tokens.push({ type: 'operator', text: operator === '**' ? '^' : operator, position });
+		else
+			tokens.push({ type: /** @type {'('|')'|','} */ (punctuation), text: punctuation, position });
+		position = pattern.lastIndex;
+	}
+	tokens.push({ type: 'end', text: '', position: text.length });
+	return tokens;
+}
+
+/**
+ * A compiled (sub)expression, taking the values of the variables in the order they were declared
+ * @callback Compiled
+ * @param {number[]} scope The values of the variables
+ * @returns {number}
+ */
+
+/**
+ * Recursive descent parser that compiles the tokens directly into closures.
+ * Grammar (in order of increasing precedence):
+ *
+ *     expression := term (('+' | '-') term)*
+ *     term       := unary (('*' | '/') unary | implicit-factor)*
+ *     unary      := ('+' | '-') unary | power
+ *     power      := primary ('^' unary)?
+ *     primary    := number | name | name '(' expression (',' expression)* ')' | '(' expression ')'
+ */
+class Parser {
+	/**
+	 * @param {string} text The expression to parse
+	 * @param {string[]} variables Names of the variables that may appear in the expression
+	 */
+	constructor(text, variables) {
+		this.tokens = tokenize(text);
+		this.index = 0;
+		this.variables = variables;
+	}
+
+	/** @returns {Token} The token currently being looked at */
+	get current() {
+		return this.tokens[this.index];
+	}
+
+	/**
+	 * Consumes the current token, making sure it is of the expected type
+	 * @param {Token['type']} type The expected type of the token
+	 * @param {string} [text] The expected text of the token
+	 * @returns {Token} The consumed token
+	 */
+	expect(type, text) {
+		const token = this.current;
+		if (token.type !== type || (text !== undefined && token.text !== text))
+			throw this.unexpected(`'${text || type}'`);
+		this.index++;
+		return token;
+	}
+
+	/**
+	 * Creates an error describing the current token as unexpected
+	 * @param {string} expected What was expected instead
+	 * @returns {ParseError}
+	 */
+	unexpected(expected) {
+		const token = this.current;
+		if (token.type === 'end')
+			return new ParseError(`Unexpected end of expression, expected ${expected}`, token.position);
+		return new ParseError(`Unexpected '${token.text}' at position ${token.position + 1}, expected ${expected}`, token.position);
+	}
+
+	/** @returns {Compiled} The whole expression */
+	parse() {
+		if (this.tokens.length === 1)
+			throw new ParseError('The expression is empty', 0);
+		const result = this.expression();
+		if (this.current.type !== 'end')
+			throw this.unexpected('an operator');
+		return result;
+	}
+
+	/** @returns {Compiled} */
+	expression() {
+		let left = this.term();
+		while (this.current.type === 'operator' && '+-'.includes(this.current.text)) {
+			const operator = this.expect('operator').text;
+			const a = left, b = this.term();
+			left = operator === '+'
+				? (scope) => a(scope) + b(scope)
+				: (scope) => a(scope) - b(scope);
+		}
+		return left;
+	}
+
+	/** @returns {Compiled} */
+	term() {
+		let left = this.unary();
+		while (true) {
+			const token = this.current;
+			let operator;
+			if (token.type === 'operator' && '*/'.includes(token.text)) {
+				operator = this.expect('operator').text;
+			} else if (token.type === 'name' || token.type === '(') {
+				// Implicit multiplication, as in `2x` or `3(x + 1)`
+				operator = '*';
+			} else {
+				return left;
+			}
+			const a = left, b = this.unary();
+			left = operator === '*'
+				? (scope) => a(scope) * b(scope)
+				: (scope) => a(scope) / b(scope);
+		}
+	}
+
+	/** @returns {Compiled} */
+	unary() {
+		const token = this.current;
+		if (token.type === 'operator' && '+-'.includes(token.text)) {
+			this.index++;
+			const operand = this.unary();
+			return token.text === '-' ? (scope) => -operand(scope) : operand;
+		}
+		return this.power();
+	}
+
+	/** @returns {Compiled} */
+	power() {
+		const base = this.primary();
+		if (this.current.type === 'operator' && this.current.text === '^') {
+			this.index++;
+			const exponent = this.unary();
+			return (scope) => base(scope) ** exponent(scope);
+		}
+		return base;
+	}
+
+	/** @returns {Compiled} */
+	primary() {
+		const token = this.current;
+		switch (token.type) {
+			case 'number': {
+				this.index++;
+				const value = parseFloat(token.text);
+				return () => value;
+			}
+			case '(': {
+				this.index++;
+				const inner = this.expression();
+				this.expect(')');
+				return inner;
+			}
+			case 'name':
+				this.index++;
+				// A variable followed by parentheses is an implicit multiplication, as in `x(x + 1)`
+				if (this.current.type === '(' && !this.variables.includes(token.text) && !constants.hasOwnProperty(token.text))
+					return this.call(token);
+				return this.name(token);
+			default:
+				throw this.unexpected('a number, a name or \'(\'');
+		}
+	}
+
+	/**
+	 * Resolves a name to a variable or a constant
+	 * @param {Token} token The token holding the name
+	 * @returns {Compiled}
+	 */
+	name(token) {
+		const index = this.variables.indexOf(token.text);
+		if (index !== -1)
+			return (scope) => scope[index];
+		if (constants.hasOwnProperty(token.text)) {
+			const value = constants[token.text];
+			return () => value;
+		}
+		if (functions.hasOwnProperty(token.text))
+			throw new ParseError(`'${token.text}' is a function, it must be called with parentheses`, token.position);
+		const allowed = this.variables.length ? ` (allowed variables: ${this.variables.join(', ')})` : '';
+		throw new ParseError(`Unknown name '${token.text}' at position ${token.position + 1}${allowed}`, token.position);
+	}
+
+	/**
+	 * Parses the arguments of a function call
+	 * @param {Token} token The token holding the name of the function
+	 * @returns {Compiled}
+	 */
+	call(token) {
+		if (!functions.hasOwnProperty(token.text))
+			throw new ParseError(`Unknown function '${token.text}' at position ${token.position + 1}`, token.position);
+		const { fn, arity } = functions[token.text];
+		this.expect('(');
+		/** @type {Compiled[]} */
+		const args = [this.expression()];
+		while (this.current.type === ',') {
+			this.index++;
+			args.push(this.expression());
+		}
+		this.expect(')');
+		if (arity !== Infinity && args.length !== arity)
+			throw new ParseError(`Function '${token.text}' takes ${arity} argument${arity === 1 ? '' : 's'}, but got ${args.length}`, token.position);
+		if (args.length === 1) {
+			const [arg] = args;
+			return (scope) => fn(arg(scope));
+		}
+		return (scope) => fn(...args.map(arg => arg(scope)));
+	}
+}
+
+/**
+ * Parses a mathematical expression and turns it into a function of the given variables.
+ * Supports `+ - * / ^` (or `**`), implicit multiplication (`2x`), parentheses,
+ * the constants `pi` and `e`, and the usual functions from `Math` (`sin`, `exp`, `ln`, `sqrt`, ...)
+ * @param {string} text The expression to parse, e.g. `1 + 2*y/x`
+ * @param {string[]} [variables] Names of the variables, in the order the resulting function takes them
+ * @returns {function(...number): number} The compiled expression
+ * @throws {ParseError} If the expression is not valid
+ */
+export function parse(text, variables = ['x', 'y']) {
+	const compiled = new Parser(text, variables).parse();
+	return (...args) => compiled(args);
+}
+
+/**
+ * Parses a Butcher tableau written in its usual layout: one row per stage with its node c before a `|`
+ * and the weights a after it, followed by the weights b in a row with nothing before the `|`. For example:
+ *
+ *     0   |
+ *     1/2 | 1/2
+ *     1   | -1  2
+ *     ----+-------------
+ *         | 1/6 2/3 1/6
+ *
+ * Entries are separated by spaces or commas, and each is a constant expression such as `1/6` or `sqrt(2)/2`.
+ * Lines made only of dashes and pluses are ignored. The tableau is not validated
+ * @param {string} text The tableau to parse
+ * @returns {ButcherTableau}
+ * @throws {ParseError} If the text does not have the layout above, or an entry is not valid
+ */
+export function parseTableau(text) {
+	/** @type {number[][]} */ const a = [];
+	/** @type {number[]} */ const c = [];
+	/** @type {number[]} */ let b = null;
+	let offset = 0;
+	text.split('\n').forEach((line, index) => {
+		const start = offset;
+		offset += line.length + 1;
+		if (!line.trim() || /^[\s\-+|=]+$/.test(line))
+			return;
+		const where = `Line ${index + 1}`;
+		const parts = line.split('|');
+		if (parts.length !== 2)
+			throw new ParseError(`${where}: expected exactly one '|' between the node and the weights`, start);
+		if (b)
+			throw new ParseError(`${where}: the weights b must be the last row`, start);
+		/** @param {string} part */
+		const entries = (part) => part.split(/[\s,]+/).filter(entry => entry).map(entry => {
+			try {
+				return parse(entry, [])();
+			} catch (error) {
+				throw new ParseError(`${where}: '${entry}': ${error.message}`, start);
+			}
+		});
+		const [node, weights] = parts.map(entries);
+		if (node.length > 1)
+			throw new ParseError(`${where}: expected a single node before the '|'`, start);
+		if (node.length === 0) {
+			b = weights;
+		} else {
+			c.push(node[0]);
+			a.push(weights);
+		}
+	});
+	if (!b)
+		throw new ParseError('The last row must hold the weights b, with nothing before its \'|\'', text.length);
+	return new ButcherTableau(a, b, c);
+}
+
+/**
+ * Parses an expression made of one or more components separated by `;`, as used for systems of equations
+ * @param {string} text The expression(s) to parse
+ * @param {string[]} variables Names of the variables that may appear in the expressions
+ * @returns {Array<function(...number): number>} The compiled components
+ * @throws {ParseError} If a component is not valid
+ */
+function parseComponents(text, variables) {
+	const parts = text.split(';');
+	return parts.map((part, i) => {
+		try {
+			return parse(part, variables);
+		} catch (error) {
+			if (parts.length > 1)
+				error.message = `Component ${i + 1}: ${error.message}`;
+			throw error;
+		}
+	});
+}
+
+/**
+ * Names of the integration constants of a family of exact solutions: `C` if there is one, or else `C1, C2, ...`
+ * @param {number} count The number of constants
+ * @returns {string[]}
+ */
+export function constantNames(count) {
+	return count === 1 ? ['C'] : Array.from({ length: count }, (_, i) => `C${i + 1}`);
+}
+
+/**
+ * The names of the variables the expressions of an equation are written in terms of
+ * @param {string} derivative The text of the derivative, whose number of components tells if it is a system
+ * @param {number} order The order of the equation
+ * @returns {string[]} x, followed by the names of the components of the state
+ */
+function stateVariables(derivative, order) {
+	const count = derivative.split(';').length;
+	if (order > 1)
+		return ['x', 'y', 'dy', ...Array.from({ length: order - 2 }, (_, i) => `d${i + 2}y`)];
+	if (count > 1)
+		return ['x', ...Array.from({ length: count }, (_, i) => `y${i + 1}`)];
+	return ['x', 'y'];
+}
+
+/**
+ * Parses the event function g(x, y) of a condition g = 0, written in terms of the same variables as the equation
+ * @param {string} text The expression of g, e.g. `y - 10`
+ * @param {{derivative: string, order?: number}} expressions The equation the event is looked for in
+ * @returns {function(number, State): number}
+ * @throws {ParseError} If the expression is not valid
+ */
+export function parseEvent(text, { derivative, order = 1 }) {
+	const g = parse(text, stateVariables(derivative, order));
+	return (x, y) => g(x, ...components(y));
+}
+
+/**
+ * Builds a differential equation from the text of its expressions.
+ * A system is written as its components separated by `;`, in terms of x and y1, y2, ...
+ * An equation of order n > 1 is written as the expression of its highest derivative, in terms of x, y, dy, d2y, ...
+ * The exact solution may use integration constants (`C`, or `C1, C2, ...`), in which case it is a family
+ * @param {{derivative: string, exact?: string, order?: number}} expressions The derivative, the exact solution (optional) and the order
+ * @returns {DifferentialFunction}
+ * @throws {EquationError} If any of the expressions is not valid
+ */
+export function parseEquation({ derivative, exact = '', order = 1 }) {
+	const count = derivative.split(';').length;
+	const variables = stateVariables(derivative, order);
+
+	/** @type {{derivative?: string, exact?: string}} */
+	const messages = {};
+	let derivatives = null, exacts = null, family = false;
+	try {
+		derivatives = parseComponents(derivative, variables);
+		if (order > 1 && count > 1)
+			throw new Error('An equation of higher order is given by the single expression of its highest derivative');
+	} catch (error) {
+		messages.derivative = error.message;
+	}
+	try {
+		if (exact.trim()) {
+			try {
+				exacts = parseComponents(exact, ['x']);
+			} catch (error) {
+				// A solution with integration constants is a family, the member of which is chosen by the initial value
+				exacts = parseComponents(exact, ['x', ...constantNames(order > 1 ? order : count)]);
+				family = true;
+			}
+		}
+		const expected = order > 1 ? 1 : count;
+		if (exacts && exacts.length !== expected)
+			throw new Error(`Expected ${expected} component${expected === 1 ? '' : 's'} separated by ';', got ${exacts.length}`);
+	} catch (error) {
+		messages.exact = error.message;
+	}
+	if (messages.derivative || messages.exact)
+		throw new EquationError(messages);
+
+	/** @type {function(number, number[]): (number|number[])} */
+	const solution = exacts && (order > 1 || count === 1
+		? (x, C) => exacts[0](x, ...C)
+		: (x, C) => exacts.map(f => f(x, ...C)));
+	const fixed = solution && !family ? (/** @type {number} */ x) => solution(x, []) : null;
+
+	let funcs;
+	if (order > 1)
+		funcs = DifferentialFunction.higherOrder(fixed, (x, y) => derivatives[0](x, ...y), order);
+	else if (count === 1)
+		funcs = new DifferentialFunction(fixed, derivatives[0]);
+	else
+		funcs = new DifferentialFunction(fixed, (x, y) => derivatives.map(f => f(x, .../** @type {number[]} */ (y))));
+	funcs.source = { derivative, exact, order };
+	return family ? funcs.withFamily(solution, order > 1 ? order : count) : funcs;
+}
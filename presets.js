@@ -0,0 +1,63 @@
+/**
+ * @file Library of classic test problems, each with its exact solution and a domain that shows how the methods behave on it
+ * @typedef { import('./io').Expressions } Expressions
+ * @typedef { import('./linalg').State } State
+ */
+
+/**
+ * An initial value problem, written as it is typed in the page
+ * @typedef {Object} Preset
+ * @property {string} name
+ * @property {string} description What the problem shows about the methods
+ * @property {Expressions} equation The equation and the family of its exact solutions
+ * @property {{x0: number, y0: State, X: number, N: number, tol: number}} values The initial value, the domain and the steps
+ */
+
+/**
+ * The built-in test problems
+ * @type {Object<string, Preset>}
+ */
+export const presets = {
+	linear: {
+		name: 'Linear (y\' = 1 + 2y/x)',
+		description: 'The equation of the assignment, whose solutions are parabolas',
+		equation: { derivative: '1 + 2*y/x', exact: 'C x^2 - x', order: 1 },
+		values: { x0: 1, y0: 2, X: 10, N: 20, tol: 1e-4 },
+	},
+	growth: {
+		name: 'Exponential growth',
+		description: 'The relative error of every method grows along with the solution',
+		equation: { derivative: 'y', exact: 'C exp(x)', order: 1 },
+		values: { x0: 0, y0: 1, X: 5, N: 20, tol: 1e-6 },
+	},
+	decay: {
+		name: 'Exponential decay',
+		description: 'With steps too large for their stability regions, explicit methods oscillate and grow instead of decaying',
+		equation: { derivative: '-5 y', exact: 'C exp(-5x)', order: 1 },
+		values: { x0: 0, y0: 1, X: 4, N: 8, tol: 1e-6 },
+	},
+	logistic: {
+		name: 'Logistic growth',
+		description: 'A nonlinear equation whose solutions level off at y = 1',
+		equation: { derivative: 'y (1 - y)', exact: '1 / (1 + C exp(-x))', order: 1 },
+		values: { x0: 0, y0: 0.05, X: 12, N: 24, tol: 1e-6 },
+	},
+	stiff: {
+		name: 'Stiff relaxation',
+		description: 'The solution quickly settles onto a slow curve, which explicit methods can only follow with tiny steps',
+		equation: { derivative: '-50 (y - cos(x))', exact: '(2500 cos(x) + 50 sin(x)) / 2501 + C exp(-50x)', order: 1 },
+		values: { x0: 0, y0: 0, X: 2, N: 20, tol: 1e-4 },
+	},
+	oscillator: {
+		name: 'Harmonic oscillator (y\'\' = -y)',
+		description: 'Most methods slowly gain or lose energy, so that the amplitude drifts over many periods',
+		equation: { derivative: '-y', exact: 'C1 cos(x) + C2 sin(x)', order: 2 },
+		values: { x0: 0, y0: [1, 0], X: 30, N: 60, tol: 1e-6 },
+	},
+	blowUp: {
+		name: 'Finite-time blow-up (y\' = y²)',
+		description: 'The solution 1 / (1 - x) goes to infinity at x = 1, where the methods have to stop',
+		equation: { derivative: 'y^2', exact: '1 / (C - x)', order: 1 },
+		values: { x0: 0, y0: 1, X: 1.5, N: 30, tol: 1e-6 },
+	},
+};
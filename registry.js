@@ -0,0 +1,173 @@
+/**
+ * @file Registry of the numerical methods compared on the charts. A method is registered once, with its label, colour
+ * and metadata, and every chart picks it up; the registry also keeps which methods are shown.
+ * For example, to compare another method:
+ *
+ *     registry.register('heun', Heun, { label: 'Heun', color: 'coral', description: 'Explicit trapezoidal rule' });
+ */
+
+import {
+	Euler, ImprovedEuler, RungeKutta, BackwardEuler, ImplicitTrapezoidal, BDF2,
+	AdamsBashforth2, AdamsBashforth3, AdamsBashforth4, AdamsBashforthMoulton, DormandPrince, NumericalMethod,
+} from './models.js';
+
+/**
+ * What a method is registered with, besides its class
+ * @typedef {Object} MethodOptions
+ * @property {string} label The name of the method on the charts
+ * @property {string} color The colour of its lines
+ * @property {number} [order] Its order of accuracy, read from the class if it is not given
+ * @property {string} [description] A short description, shown when hovering its checkbox
+ * @property {boolean} [visible] Whether it is shown, `true` by default (or as it was, when replacing a method)
+ * @property {boolean} [adaptive] Whether it chooses its own steps from the tolerances instead of taking N steps,
+ * so that its errors do not depend on N, and its step sizes are drawn on the solution chart
+ */
+
+/**
+ * A method in the registry
+ * @typedef {Object} RegisteredMethod
+ * @property {string} key Identifies the method, and is the key its data is stored under
+ * @property {typeof NumericalMethod} Method The class of the method
+ * @property {string} label
+ * @property {string} color
+ * @property {number} order
+ * @property {string} description
+ * @property {boolean} visible
+ * @property {boolean} adaptive
+ */
+
+/**
+ * The methods compared on the charts, in the order they are drawn.
+ * Dispatches a `change` event whenever a method is added, removed, shown or hidden
+ */
+export class MethodRegistry extends EventTarget {
+	constructor() {
+		super();
+		/** @type {RegisteredMethod[]} */
+		this.entries = [];
+	}
+
+	/**
+	 * Adds a method, or replaces the one with the same key (keeping its place and, unless given, its visibility)
+	 * @param {string} key Identifies the method
+	 * @param {typeof NumericalMethod} Method The class of the method
+	 * @param {MethodOptions} options
+	 * @returns {RegisteredMethod} The entry of the method
+	 */
+	register(key, Method, { label, color, order, description = '', visible, adaptive = false }) {
+		if (!(Method.prototype instanceof NumericalMethod))
+			throw new TypeError(`${Method.name} is not a NumericalMethod`);
+		const index = this.entries.findIndex(entry => entry.key === key);
+		const previous = this.entries[index];
+		/** @type {RegisteredMethod} */
+		const entry = {
+			key,
+			Method,
+			label,
+			color,
+			// The orders are getters that only depend on the class, so they can be read from the prototype
+			order: order === undefined ? /** @type {NumericalMethod} */ (Method.prototype).order : order,
+			description,
+			visible: visible === undefined ? !previous || previous.visible : visible,
+			adaptive,
+		};
+		if (previous)
+			this.entries[index] = entry;
+		else
+			this.entries.push(entry);
+		this._changed();
+		return entry;
+	}
+
+	/**
+	 * Removes a method, if it is registered
+	 * @param {string} key
+	 */
+	unregister(key) {
+		const index = this.entries.findIndex(entry => entry.key === key);
+		if (index === -1)
+			return;
+		this.entries.splice(index, 1);
+		this._changed();
+	}
+
+	/**
+	 * Finds a registered method
+	 * @param {string} key
+	 * @returns {RegisteredMethod} The entry, or `undefined` if there is no method with that key
+	 */
+	get(key) {
+		return this.entries.find(entry => entry.key === key);
+	}
+
+	/**
+	 * All the registered methods, shown or not
+	 * @returns {RegisteredMethod[]}
+	 */
+	all() {
+		return [...this.entries];
+	}
+
+	/**
+	 * The methods to show on the charts
+	 * @returns {RegisteredMethod[]}
+	 */
+	visible() {
+		return this.entries.filter(entry => entry.visible);
+	}
+
+	/**
+	 * Shows or hides a method on all the charts
+	 * @param {string} key
+	 * @param {boolean} visible
+	 */
+	setVisible(key, visible) {
+		const entry = this.get(key);
+		if (!entry || entry.visible === visible)
+			return;
+		entry.visible = visible;
+		this._changed();
+	}
+
+	/**
+	 * Hides the given methods and shows all the others, at once
+	 * @param {string[]} keys The keys of the methods to hide
+	 */
+	setHidden(keys) {
+		if (this.entries.every(entry => entry.visible === !keys.includes(entry.key)))
+			return;
+		for (const entry of this.entries)
+			entry.visible = !keys.includes(entry.key);
+		this._changed();
+	}
+
+	/**
+	 * The keys of the hidden methods
+	 * @returns {string[]}
+	 */
+	hidden() {
+		return this.entries.filter(entry => !entry.visible).map(entry => entry.key);
+	}
+
+	/**
+	 * Notifies the listeners that the methods changed
+	 */
+	_changed() {
+		this.dispatchEvent(new Event('change'));
+	}
+}
+
+/** The registry used by the page, with the built-in methods */
+export const registry = new MethodRegistry();
+
+registry.register('euler', Euler, { label: 'Euler', color: 'aqua', description: 'Explicit, one evaluation per step' });
+registry.register('improvedEuler', ImprovedEuler, { label: 'Improved-Euler', color: 'lime', description: 'Explicit Runge-Kutta (Heun), two evaluations per step' });
+registry.register('rungeKutta', RungeKutta, { label: 'Runge-Kutta', color: 'brown', description: 'Classical explicit Runge-Kutta, four evaluations per step' });
+registry.register('backwardEuler', BackwardEuler, { label: 'Backward Euler', color: 'purple', description: 'Implicit, solved by Newton\'s method' });
+registry.register('trapezoidal', ImplicitTrapezoidal, { label: 'Trapezoidal', color: 'magenta', description: 'Implicit trapezoidal rule, solved by Newton\'s method' });
+registry.register('bdf2', BDF2, { label: 'BDF2', color: 'teal', description: 'Implicit two-step backward differentiation formula' });
+registry.register('adamsBashforth2', AdamsBashforth2, { label: 'Adams-Bashforth 2', color: 'gold', description: 'Explicit two-step, started with Runge-Kutta' });
+registry.register('adamsBashforth3', AdamsBashforth3, { label: 'Adams-Bashforth 3', color: 'olive', description: 'Explicit three-step, started with Runge-Kutta' });
+registry.register('adamsBashforth4', AdamsBashforth4, { label: 'Adams-Bashforth 4', color: 'navy', description: 'Explicit four-step, started with Runge-Kutta' });
+registry.register('adamsBashforthMoulton', AdamsBashforthMoulton, { label: 'Adams-Bashforth-Moulton', color: 'crimson', description: 'Fourth-order predictor-corrector' });
+registry.register('dormandPrince', DormandPrince, { label: 'Dormand-Prince', color: 'darkorange', description: 'Adaptive fifth-order pair, steps chosen from the tolerance', adaptive: true });
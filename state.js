@@ -0,0 +1,161 @@
+/**
+ * @file Encoding of the state of the whole workspace in the URL, and named sessions saved in the local storage
+ * @typedef { import('./linalg').State } State
+ * @typedef { import('./io').Expressions } Expressions
+ * @typedef { import('./controller').EventSpec } EventSpec
+ */
+
+/**
+ * Everything needed to show the same charts again
+ * @typedef {Object} Workspace
+ * @property {Expressions} equation The text of the equation and its exact solution
+ * @property {{x0: number, y0: State, X: number, N: number, tol: number}} values The inputs of the main chart
+ * @property {{phase: boolean, convergence: boolean, increments?: boolean, field?: boolean, isoclines?: boolean}} options How the charts are shown
+ * @property {string} tableau The text of the custom Butcher tableau (empty if there is none)
+ * @property {string[]} [hidden] The keys of the methods hidden from the charts
+ * @property {EventSpec[]} [events] The events looked for on the main chart
+ */
+
+/** The key under which all the sessions are kept in the storage */
+const storageKey = 'ode-sessions';
+
+/**
+ * Parses a number from the URL, keeping it undefined if it is missing or not valid
+ * @param {string} text
+ * @returns {number}
+ */
+function number(text) {
+	const value = parseFloat(text);
+	return Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * Parses a number of steps from the URL, keeping it undefined unless it is a whole number of at least 1
+ * @param {string} text
+ * @returns {number}
+ */
+function stepCount(text) {
+	const value = number(text);
+	return Number.isInteger(value) && value >= 1 ? value : undefined;
+}
+
+/**
+ * Writes the workspace as a query string, to be used as the hash of the URL
+ * @param {Workspace} workspace
+ * @returns {string}
+ */
+export function encodeState({ equation, values, options, tableau, hidden = [], events = [] }) {
+	const params = new URLSearchParams();
+	params.set('derivative', equation.derivative);
+	if (equation.exact)
+		params.set('exact', equation.exact);
+	if (equation.order > 1)
+		params.set('order', String(equation.order));
+	for (const [name, value] of Object.entries(values))
+		params.set(name, Array.isArray(value) ? value.join(';') : String(value));
+	for (const [name, enabled] of Object.entries(options))
+		if (enabled)
+			params.set(name, '1');
+	if (tableau)
+		params.set('tableau', tableau);
+	if (hidden.length)
+		params.set('hidden', hidden.join(','));
+	// One parameter per event, in order, telling first whether it stops the integration
+	for (const { expression, terminal } of events)
+		params.append('event', `${terminal ? 'stop' : 'record'}:${expression}`);
+	return params.toString();
+}
+
+/**
+ * Reads the workspace back from the hash of the URL. Values that are missing or not valid are left undefined
+ * @param {string} text The hash, with or without the leading `#`
+ * @returns {Workspace} The workspace, or `null` if the text does not describe one
+ */
+export function decodeState(text) {
+	const params = new URLSearchParams(text.replace(/^#/, ''));
+	if (!params.has('derivative'))
+		return null;
+	const y0 = (params.get('y0') || '').split(';').map(parseFloat);
+	return {
+		equation: {
+			derivative: params.get('derivative'),
+			exact: params.get('exact') || '',
+			order: number(params.get('order')) || 1,
+		},
+		values: {
+			x0: number(params.get('x0')),
+			y0: !y0.every(Number.isFinite) ? undefined : y0.length === 1 ? y0[0] : y0,
+			X: number(params.get('X')),
+			N: stepCount(params.get('N')),
+			tol: number(params.get('tol')),
+		},
+		options: {
+			phase: params.get('phase') === '1',
+			convergence: params.get('convergence') === '1',
+			increments: params.get('increments') === '1',
+			field: params.get('field') === '1',
+			isoclines: params.get('isoclines') === '1',
+		},
+		tableau: params.get('tableau') || '',
+		hidden: params.get('hidden') ? params.get('hidden').split(',') : [],
+		events: params.getAll('event').map(text => {
+			const separator = text.indexOf(':');
+			return { expression: text.slice(separator + 1), terminal: text.slice(0, separator) === 'stop' };
+		}),
+	};
+}
+
+/**
+ * Reads all the saved sessions
+ * @param {Storage} storage
+ * @returns {Object<string, Workspace>} The sessions, by name
+ */
+function readSessions(storage) {
+	try {
+		return JSON.parse(storage.getItem(storageKey)) || {};
+	} catch (error) {
+		return {};
+	}
+}
+
+/**
+ * The names of the saved sessions, in alphabetical order
+ * @param {Storage} [storage]
+ * @returns {string[]}
+ */
+export function listSessions(storage = localStorage) {
+	return Object.keys(readSessions(storage)).sort();
+}
+
+/**
+ * Saves the workspace under the given name, replacing the session with the same name if there is one
+ * @param {string} name
+ * @param {Workspace} workspace
+ * @param {Storage} [storage]
+ */
+export function saveSession(name, workspace, storage = localStorage) {
+	const sessions = readSessions(storage);
+	sessions[name] = workspace;
+	storage.setItem(storageKey, JSON.stringify(sessions));
+}
+
+/**
+ * Gets the workspace saved under the given name
+ * @param {string} name
+ * @param {Storage} [storage]
+ * @returns {Workspace} The workspace, or `null` if there is no session with that name
+ */
+export function loadSession(name, storage = localStorage) {
+	return readSessions(storage)[name] || null;
+}
+
+/**
+ * Removes the session with the given name
+ * @param {string} name
+ * @param {Storage} [storage]
+ */
+export function deleteSession(name, storage = localStorage) {
+	const sessions = readSessions(storage);
+	delete sessions[name];
+	storage.setItem(storageKey, JSON.stringify(sessions));
+}
@@ -0,0 +1,316 @@
+/**
+ * @file Runs the long computations of the error charts and of the reference solutions in small chunks,
+ * so that they can be cancelled by newer requests
+ * and their results streamed as they come. The results are cached, so that going back to previous inputs,
+ * or changing only the number of steps, does not compute everything again.
+ * It is used by the Web Worker in [worker.js](./worker.js), or directly on the main thread where workers are not available
+ * @typedef { import('./analysis').ConvergenceResult } ConvergenceResult
+ * @typedef { import('./analysis').SweepRange } SweepRange
+ * @typedef { import('./analysis').RunMeasures } RunMeasures
+ * @typedef { import('./models').Reference } Reference
+ * @typedef { import('./models').point } point
+ */
+
+import * as models from './models.js';
+import { parseEquation, ParseError, EquationError } from './parser.js';
+import { globalError, convergence, sweepCombinations, applySweep, measureRun } from './analysis.js';
+
+/**
+ * How a method is sent to the runner, since classes cannot be: the name of its class in models.js,
+ * or the tableau of a custom Runge-Kutta method. Other classes are passed as they are, and can only be run on the main thread
+ * @typedef {Object} MethodDescription
+ * @property {string} key The key of the method in the results
+ * @property {string} [name] The name of a class exported by models.js (or of the class passed as it is)
+ * @property {{a: number[][], b: number[], c: number[]}} [tableau] The coefficients of a custom Runge-Kutta method
+ * @property {typeof models.NumericalMethod} [Method] The class itself, when it cannot be described otherwise
+ */
+
+/**
+ * A computation to run
+ * @typedef {Object} Job
+ * @property {number} id Identifies the job; starting a job cancels the ones before it
+ * @property {'globalError'|'convergence'|'sweep'|'reference'|'cancel'} type What to compute
+ *   (or nothing, to only cancel the running job)
+ * @property {{derivative: string, exact: string, order: number}} equation The text of the equation
+ * @property {MethodDescription[]} [methods] The methods to compute the errors of (none for the reference solution)
+ * @property {Object} config Contains x0, y0, X, N and the tolerances
+ * @property {SweepRange[]} [ranges] The one or two parameters a sweep varies
+ */
+
+/**
+ * A message with the results of a job: `progress` carries some of them, `done` tells there are no more,
+ * and `error` that the job could not be run
+ * @typedef {Object} JobMessage
+ * @property {number} id The id of the job
+ * @property {'progress'|'done'|'error'} type
+ * @property {Array<{N: number, errors: Object<string, ?number>}>} [rows] The global errors for some numbers of steps
+ * @property {Object<string, ConvergenceResult>} [results] The convergence analysis of some methods
+ * @property {Array<{values: number[], measures: Object<string, RunMeasures>}>} [points] How the methods did
+ * at some combinations of the values swept (without measures where the equation could not be set up)
+ * @property {Reference} [reference] How the reference solution was computed
+ * @property {point[]} [solution] The points of the reference solution
+ * @property {string} [message] What went wrong
+ */
+
+/** For how long (in ms) to compute before sending the results so far and letting newer jobs in */
+const chunkDuration = 30;
+
+/** How many sets of inputs to keep the results of */
+const cacheSize = 20;
+
+/**
+ * The accuracy wanted of the reference solutions of a sweep, and the most steps to take to reach it.
+ * A sweep can need one for every combination, so they are rougher than the one of the solution chart
+ */
+const sweepReference = { tolerance: 1e-8, maxSteps: 2 ** 13 };
+
+/**
+ * Describes a method so that it can be sent to the runner
+ * @param {string} key The key of the method
+ * @param {typeof models.NumericalMethod} Method The class of the method
+ * @returns {MethodDescription}
+ */
+export function describeMethod(key, Method) {
+	if (models[/** @type {keyof models} */ (Method.name)] === Method)
+		return { key, name: Method.name };
+	if (Method.prototype instanceof models.ExplicitRungeKutta) {
+		const { a, b, c } = /** @type {models.ExplicitRungeKutta} */ (Method.prototype).tableau;
+		return { key, tableau: { a, b, c } };
+	}
+	return { key, name: Method.name, Method };
+}
+
+/**
+ * Whether all the methods of a job can be sent to a Web Worker
+ * @param {MethodDescription[]} methods
+ * @returns {boolean}
+ */
+export function isTransferable(methods) {
+	return methods.every(({ Method }) => !Method);
+}
+
+/**
+ * Gets back the class of a described method
+ * @param {MethodDescription} description
+ * @returns {typeof models.NumericalMethod}
+ */
+function resolveMethod({ name, tableau, Method }) {
+	if (Method)
+		return Method;
+	if (tableau)
+		return models.ExplicitRungeKutta.fromTableau(new models.ButcherTableau(tableau.a, tableau.b, tableau.c));
+	return /** @type {typeof models.NumericalMethod} */ (models[/** @type {keyof models} */ (name)]);
+}
+
+/**
+ * Fits the exact solution of an equation to the initial value, or computes a reference solution if it has none
+ * @param {models.DifferentialFunction} funcs
+ * @param {Object} config Contains x0, y0 and X
+ * @param {{tolerance?: number, maxSteps?: number}} [options] How accurate the reference solution has to be
+ */
+function prepareSolution(funcs, { x0, y0, X }, options) {
+	if (funcs.family)
+		funcs.fit(x0, y0);
+	else if (funcs.needsReference)
+		funcs.computeReference(x0, y0, X, options);
+}
+
+/**
+ * Lets other tasks (such as receiving newer jobs) run before continuing
+ * @returns {Promise<void>}
+ */
+function yieldControl() {
+	return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Creates a runner of jobs, which sends their results through the given function
+ * @param {function(JobMessage): void} post Receives the messages with the results
+ * @returns {function(Job): Promise<void>} Starts a job, cancelling the one running if there is one.
+ *   Whatever goes wrong in the job is posted as an `error` message, the promise is never rejected
+ */
+export function createRunner(post) {
+	let latest = 0;
+	/** @type {Map<string, Map<any, any>>} The results of each set of inputs, from the least to the most recently used */
+	const cache = new Map();
+
+	/**
+	 * Gets the results kept for a set of inputs, making room for them if they are new
+	 * @param {Object} inputs
+	 * @returns {Map<any, any>}
+	 */
+	const cached = (inputs) => {
+		const key = JSON.stringify(inputs);
+		const results = cache.get(key) || new Map();
+		cache.delete(key);
+		cache.set(key, results);
+		if (cache.size > cacheSize)
+			cache.delete(cache.keys().next().value);
+		return results;
+	};
+
+	/**
+	 * Computes the global error at X of every method for N from 1 to `config.N`
+	 * @param {Job} job
+	 * @param {models.DifferentialFunction} funcs
+	 */
+	async function runGlobalError({ id, equation, methods, config }, funcs) {
+		const { x0, y0, X, N, atol, rtol } = config;
+		/** @type {Map<number, Object<string, ?number>>} The errors for each number of steps */
+		const results = cached({ type: 'globalError', equation, methods, x0, y0, X, atol, rtol });
+		const [end] = funcs.tabulateExact([X]).data;
+		const exact = end ? end.y : NaN;
+		const df = funcs.derivative.bind(funcs);
+		const instances = methods.map(description => new (resolveMethod(description))(df, config));
+
+		let rows = [];
+		let start = Date.now();
+		for (let n = 1; n <= N; n++) {
+			if (!results.has(n)) {
+				/** @type {Object<string, ?number>} */
+				const errors = {};
+				methods.forEach(({ key }, i) => errors[key] = globalError(instances[i], exact, n));
+				results.set(n, errors);
+			}
+			rows.push({ N: n, errors: results.get(n) });
+			if (Date.now() - start >= chunkDuration) {
+				post({ id, type: 'progress', rows });
+				rows = [];
+				await yieldControl();
+				if (id !== latest)
+					return;
+				start = Date.now();
+			}
+		}
+		post({ id, type: 'progress', rows });
+		post({ id, type: 'done' });
+	}
+
+	/**
+	 * Analyses the convergence of every method, one method at a time
+	 * @param {Job} job
+	 * @param {models.DifferentialFunction} funcs
+	 */
+	async function runConvergence({ id, equation, methods, config }, funcs) {
+		/** @type {Map<string, ConvergenceResult>} The analysis of each method, by its description */
+		const results = cached({ type: 'convergence', equation, config });
+		const df = funcs.derivative.bind(funcs);
+		for (const description of methods) {
+			const method = JSON.stringify(description);
+			if (!results.has(method))
+				results.set(method, convergence(new (resolveMethod(description))(df, config), funcs, config, { N: config.N }));
+			post({ id, type: 'progress', results: { [description.key]: results.get(method) } });
+			await yieldControl();
+			if (id !== latest)
+				return;
+		}
+		post({ id, type: 'done' });
+	}
+
+	/**
+	 * Runs every method at every combination of the values of the parameters swept, each with its own equation
+	 * and exact (or reference) solution
+	 * @param {Job} job
+	 */
+	async function runSweep({ id, equation, methods, config, ranges }) {
+		/** @type {Map<string, Object<string, RunMeasures>>} The measures of each method, by the values of the combination */
+		const results = cached({ type: 'sweep', equation, methods, config, ranges });
+		// Outside of the runs, since a method that cannot be built fails them all
+		const classes = methods.map(resolveMethod);
+		/** The equation of the last run, with its solution, which the next run shares if only N changes */
+		let prepared = { key: '', funcs: /** @type {?models.DifferentialFunction} */ (null) };
+		const measure = (/** @type {number[]} */ values) => {
+			/** @type {Object<string, RunMeasures>} */
+			const measures = {};
+			try {
+				const run = applySweep(equation, config, ranges, values);
+				const { x0, y0, X } = run.config;
+				const key = JSON.stringify({ equation: run.equation, x0, y0, X });
+				if (key !== prepared.key) {
+					const funcs = parseEquation(run.equation);
+					prepareSolution(funcs, run.config, sweepReference);
+					prepared = { key, funcs };
+				}
+				const { funcs } = prepared;
+				const df = funcs.derivative.bind(funcs);
+				methods.forEach(({ key }, i) => measures[key] = measureRun(new classes[i](df, run.config), funcs));
+			} catch (error) {
+				// The combinations the equation or its exact solution do not make sense at are left out,
+				// the others are still worth showing
+				if (!(error instanceof ParseError || error instanceof EquationError || error instanceof RangeError
+					|| error instanceof models.IntegrationError))
+					throw error;
+			}
+			return measures;
+		};
+
+		// With N varying the fastest, the runs that share their solution follow each other
+		const combinations = ranges.length > 1 && ranges[1].name === 'N'
+			? sweepCombinations([ranges[1], ranges[0]]).map(([n, value]) => [value, n])
+			: sweepCombinations(ranges);
+
+		let points = [];
+		let start = Date.now();
+		for (const values of combinations) {
+			const key = JSON.stringify(values);
+			if (!results.has(key))
+				results.set(key, measure(values));
+			points.push({ values, measures: results.get(key) });
+			if (Date.now() - start >= chunkDuration) {
+				post({ id, type: 'progress', points });
+				points = [];
+				await yieldControl();
+				if (id !== latest)
+					return;
+				start = Date.now();
+			}
+		}
+		post({ id, type: 'progress', points });
+		post({ id, type: 'done' });
+	}
+
+	/**
+	 * Computes the reference solution standing for the unknown exact one, and sends its points
+	 * @param {Job} job
+	 * @param {models.DifferentialFunction} funcs
+	 */
+	async function runReference({ id, equation, config }, funcs) {
+		const { x0, y0, X } = config;
+		// Lets newer jobs in first, which are often there already while the inputs are being typed
+		await yieldControl();
+		if (id !== latest)
+			return;
+		/** @type {Map<string, {reference: Reference, points: point[]}>} */
+		const results = cached({ type: 'reference', equation, x0, y0, X });
+		if (!results.has('reference')) {
+			const reference = funcs.computeReference(x0, y0, X);
+			results.set('reference', { reference, points: funcs.referencePoints });
+		}
+		const { reference, points } = results.get('reference');
+		post({ id, type: 'done', reference, solution: points });
+	}
+
+	return async function run(job) {
+		latest = job.id;
+		if (job.type === 'cancel')
+			return;
+		try {
+			const funcs = parseEquation(job.equation);
+			// The convergence analysis estimates the errors by itself when there is no exact solution,
+			// and the sweep sets up the solution of each of its runs
+			if (job.type !== 'sweep' && (funcs.family || job.type === 'globalError'))
+				prepareSolution(funcs, job.config);
+			if (job.type === 'sweep')
+				await runSweep(job);
+			else if (job.type === 'reference')
+				await runReference(job, funcs);
+			else if (job.type === 'convergence')
+				await runConvergence(job, funcs);
+			else
+				await runGlobalError(job, funcs);
+		} catch (error) {
+			// Otherwise the chart would wait for the results forever
+			post({ id: job.id, type: 'error', message: error.message });
+		}
+	};
+}
@@ -0,0 +1,11 @@
+/**
+ * @file Web Worker computing the error charts off the main thread, so that the page stays responsive.
+ * It receives jobs as messages and answers with their results, as described in [tasks.js](./tasks.js)
+ */
+
+import { createRunner } from './tasks.js';
+
+// @ts-ignore (the global scope of a worker posts messages without a target origin)
+const run = createRunner(message => self.postMessage(message));
+
+self.addEventListener('message', (/** @type {MessageEvent} */ event) => run(event.data));